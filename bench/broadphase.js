@@ -0,0 +1,99 @@
+// ==================== BROADPHASE BENCHMARK ====================
+// Compares brute-force and spatial-hash timings across mesh sizes
+// Usage: node bench/broadphase.js [steps]
+
+const { Mesh } = require('../mesh.js');
+
+const SIZES = [25, 50, 100, 200, 400, 800];
+const STEPS = Number(process.argv[2]) || 30;
+const QUERIES = 500;
+const SPACING = 40;
+
+// Triangulated lattice: every node links right, down and diagonally
+function buildLattice(broadphase, nodeCount) {
+  const columns = Math.ceil(Math.sqrt(nodeCount));
+  const rows = Math.ceil(nodeCount / columns);
+  const width = columns * SPACING + 200;
+  const height = rows * SPACING + 400;
+
+  const mesh = new Mesh({
+    broadphase,
+    bounds: { width, height },
+    groundY: height - 90
+  });
+
+  const grid = [];
+  for (let row = 0; row < rows; row++) {
+    grid.push([]);
+    for (let col = 0; col < columns; col++) {
+      const x = 100 + col * SPACING + (row % 2) * SPACING * 0.5;
+      const y = height - 90 - (rows - row) * SPACING;
+      grid[row].push(mesh.createNode(x, y));
+    }
+  }
+
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < columns; col++) {
+      const node = grid[row][col];
+      if (col + 1 < columns) mesh.createLink(node, grid[row][col + 1], { restMultiplier: 1.0 });
+      if (row + 1 < rows) {
+        mesh.createLink(node, grid[row + 1][col], { restMultiplier: 1.0 });
+        const diagonal = grid[row + 1][col + (row % 2 ? 1 : -1)];
+        if (diagonal) mesh.createLink(node, diagonal, { restMultiplier: 1.0 });
+      }
+    }
+  }
+
+  return mesh;
+}
+
+function time(fn) {
+  const start = process.hrtime.bigint();
+  fn();
+  return Number(process.hrtime.bigint() - start) / 1e6;
+}
+
+function measure(broadphase, nodeCount) {
+  const mesh = buildLattice(broadphase, nodeCount);
+  const stepMs = time(() => {
+    for (let i = 0; i < STEPS; i++) mesh.step();
+  }) / STEPS;
+
+  // Fixed query points so both broadphases answer the same questions
+  const points = [];
+  for (let i = 0; i < QUERIES; i++) {
+    points.push({
+      x: ((i * 7919) % 1000) / 1000 * mesh.bounds.width,
+      y: ((i * 104729) % 1000) / 1000 * mesh.groundY
+    });
+  }
+  const origin = mesh.nodes[0];
+
+  const queryMs = time(() => {
+    for (const p of points) {
+      mesh.getNodeAt(p.x, p.y);
+      mesh.getNearestNodes(p.x, p.y, 2);
+      mesh.wouldLinkCross(p, origin);
+    }
+  }) / QUERIES;
+
+  return { links: mesh.links.length, stepMs, queryMs };
+}
+
+console.log(`${STEPS} steps per size, ${QUERIES} query rounds (getNodeAt + getNearestNodes + wouldLinkCross)\n`);
+console.log('nodes  links   step none   step grid   speedup   query none   query grid   speedup');
+
+for (const size of SIZES) {
+  const none = measure('none', size);
+  const grid = measure('grid', size);
+  console.log([
+    String(size).padStart(5),
+    String(grid.links).padStart(6),
+    `${none.stepMs.toFixed(2)}ms`.padStart(11),
+    `${grid.stepMs.toFixed(2)}ms`.padStart(11),
+    `${(none.stepMs / grid.stepMs).toFixed(1)}x`.padStart(9),
+    `${none.queryMs.toFixed(3)}ms`.padStart(12),
+    `${grid.queryMs.toFixed(3)}ms`.padStart(12),
+    `${(none.queryMs / grid.queryMs).toFixed(1)}x`.padStart(9)
+  ].join(' '));
+}
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+// ==================== HEADLESS SIMULATION CLI ====================
+// Runs a saved structure or level file without a browser and reports
+// how it settled
+// Usage: node bin/simulate.js <file.json> [--steps N] [--dt seconds]
+//          [--sample-every N] [--out trajectory.json|trajectory.csv]
+//          [--diagnostics metrics.json|metrics.csv] [--json]
+
+const fs = require('fs');
+const path = require('path');
+const { Mesh } = require('../mesh.js');
+const { Level } = require('../level.js');
+const { Simulation } = require('../simulation.js');
+const { DiagnosticsLog } = require('../diagnostics.js');
+
+const USAGE = 'Usage: node bin/simulate.js <file.json> [--steps N] [--dt seconds] ' +
+  '[--sample-every N] [--out trajectory.json|trajectory.csv] [--diagnostics metrics.json|metrics.csv] [--json]';
+
+function parseArgs(argv) {
+  const options = {
+    steps: 600, dt: 1/60, sampleEvery: 1, out: null, diagnostics: null, json: false, file: null
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+    const positive = (text) => {
+      const number = Number(text);
+      if (!(number > 0)) throw new Error(`${arg} needs a positive number, got "${text}"`);
+      return number;
+    };
+
+    switch (arg) {
+      case '--steps': options.steps = Math.floor(positive(value())); break;
+      case '--dt': options.dt = positive(value()); break;
+      case '--sample-every': options.sampleEvery = Math.floor(positive(value())); break;
+      case '--out': options.out = value(); break;
+      case '--diagnostics': options.diagnostics = value(); break;
+      case '--json': options.json = true; break;
+      case '--help': case '-h': options.help = true; break;
+      default:
+        if (arg.startsWith('--') || options.file) throw new Error(`Unexpected argument: ${arg}`);
+        options.file = arg;
+    }
+  }
+  return options;
+}
+
+// Accepts both saved structures (Mesh.toJSON) and level definitions
+function loadMesh(data) {
+  if (Level.isLevel(data)) {
+    const mesh = new Mesh();
+    new Level(data).apply(mesh);
+    return mesh;
+  }
+  return Mesh.fromJSON(data);
+}
+
+function isCSV(file) {
+  return path.extname(file).toLowerCase() === '.csv';
+}
+
+function formatReport(report) {
+  const percent = (strain) => `${(strain * 100).toFixed(1)}%`;
+  return [
+    `steps:           ${report.steps} (${report.time.toFixed(2)}s)`,
+    `nodes / links:   ${report.nodes} / ${report.links} (${report.brokenLinks} broken)`,
+    `settled height:  ${report.settledHeight.toFixed(1)}px${report.settled ? '' : ' (still moving)'}`,
+    `max strain:      ${percent(report.maxStrain)} (peak ${percent(report.peakStrain)})`,
+    `energy:          kinetic ${report.energy.kinetic.toFixed(1)}, potential ${report.energy.potential.toFixed(1)}, ` +
+      `total ${report.energy.total.toFixed(1)}`,
+    `below ground:    ${report.belowGround ? `yes (nodes ${report.belowGroundNodes.join(', ')})` : 'no'}`
+  ].join('\n');
+}
+
+function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n${USAGE}`);
+    return 1;
+  }
+  if (options.help || !options.file) {
+    console.log(USAGE);
+    return options.help ? 0 : 1;
+  }
+
+  let mesh;
+  try {
+    mesh = loadMesh(JSON.parse(fs.readFileSync(options.file, 'utf8')));
+  } catch (error) {
+    console.error(`Could not load ${options.file}: ${error.message}`);
+    return 1;
+  }
+
+  let diagnostics = null;
+  if (options.diagnostics) {
+    mesh.setDiagnostics(true);
+    diagnostics = new DiagnosticsLog(mesh, { capacity: options.steps });
+  }
+
+  const simulation = new Simulation(mesh, { timestep: options.dt, sampleEvery: options.sampleEvery });
+  const report = simulation.run(options.steps);
+
+  // Both write themselves as CSV or, through toJSON(), as JSON
+  const outputs = [];
+  if (options.out) outputs.push([options.out, simulation]);
+  if (diagnostics) outputs.push([options.diagnostics, diagnostics]);
+  for (const [file, source] of outputs) {
+    try {
+      fs.writeFileSync(file, isCSV(file) ? source.toCSV() : JSON.stringify(source));
+    } catch (error) {
+      console.error(`Could not write ${file}: ${error.message}`);
+      return 1;
+    }
+  }
+
+  console.log(options.json ? JSON.stringify(report, null, 2) : formatReport(report));
+  return 0;
+}
+
+process.exitCode = main();
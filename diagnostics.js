@@ -0,0 +1,77 @@
+// ==================== DIAGNOSTICS LOG ====================
+// Rolling record of the per-step metrics a Mesh emits when its
+// diagnostics option is on, for sparklines and parameter comparisons
+
+// Scalar series derived from each sample, in display order
+const DIAGNOSTIC_SERIES = [
+  { key: 'kineticEnergy', label: 'Kinetic energy', value: s => s.kineticEnergy },
+  { key: 'potentialEnergy', label: 'Potential energy', value: s => s.potentialEnergy },
+  { key: 'totalEnergy', label: 'Total energy', value: s => s.totalEnergy },
+  { key: 'momentum', label: 'Momentum', value: s => Math.hypot(s.momentum.x, s.momentum.y) },
+  { key: 'residualMean', label: 'Mean residual', value: s => DiagnosticsLog.finalResidual(s).mean },
+  { key: 'residualMax', label: 'Max residual', value: s => DiagnosticsLog.finalResidual(s).max },
+  { key: 'crossingCorrections', label: 'Crossing fixes', value: s => s.crossingCorrections },
+  { key: 'stepTime', label: 'Step time (ms)', value: s => s.stepTime }
+];
+
+class DiagnosticsLog {
+  constructor(mesh, options = {}) {
+    this.mesh = mesh;
+    this.capacity = options.capacity || 300;
+    this.samples = [];
+    this.stepCount = 0;
+
+    this._onSample = (sample) => this.record(sample);
+    mesh.on('diagnostics', this._onSample);
+  }
+
+  record(sample) {
+    this.samples.push({ step: this.stepCount++, ...sample });
+    if (this.samples.length > this.capacity) {
+      this.samples.splice(0, this.samples.length - this.capacity);
+    }
+  }
+
+  latest() {
+    return this.samples[this.samples.length - 1] || null;
+  }
+
+  // Values of one DIAGNOSTIC_SERIES key, oldest first
+  series(key) {
+    const definition = DIAGNOSTIC_SERIES.find(d => d.key === key);
+    if (!definition) throw new Error(`Unknown diagnostic series: ${key}`);
+    return this.samples.map(definition.value);
+  }
+
+  clear() {
+    this.samples = [];
+    this.stepCount = 0;
+  }
+
+  detach() {
+    this.mesh.off('diagnostics', this._onSample);
+  }
+
+  // Samples alongside the physics parameters that produced them
+  toJSON() {
+    return { config: this.mesh.getConfig(), samples: this.samples };
+  }
+
+  // One row per step; residual columns use the final solver iteration
+  toCSV() {
+    const rows = [['step', ...DIAGNOSTIC_SERIES.map(d => d.key)].join(',')];
+    for (const sample of this.samples) {
+      rows.push([sample.step, ...DIAGNOSTIC_SERIES.map(d => d.value(sample))].join(','));
+    }
+    return rows.join('\n') + '\n';
+  }
+
+  static finalResidual(sample) {
+    return sample.residuals[sample.residuals.length - 1] || { mean: 0, max: 0 };
+  }
+}
+
+// Export for use in other modules or browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { DiagnosticsLog, DIAGNOSTIC_SERIES };
+}
@@ -0,0 +1,128 @@
+// ==================== GOO TYPES ====================
+// Registry of goo ball types: each bundles node physics, how new links
+// and angle constraints are made, and how the renderer draws the ball
+
+const GOO_TYPE_DEFAULTS = {
+  label: 'Goo',
+  color: 0xdde7ff,
+  shape: 'circle',      // circle | square | ring | diamond | triangle | hexagon
+
+  // Node properties
+  radius: 10,
+  mass: 15,
+  gravityScale: 1,      // negative floats upward
+  sticky: false,        // sticks where it lands until grabbed (Node.stuck)
+  detachable: false,    // can be pulled off a structure and re-attached
+
+  // Link properties (stiffness is a multiplier of mesh.stiffness)
+  linkStiffness: 1.5,
+  restMultiplier: 0.85,
+  slack: false,         // links only resist stretching
+  breakStrain: undefined,
+
+  // Angle constraint between the two anchors, if any
+  angleConstraint: true,
+  angleStiffness: 0.5
+};
+
+class GooTypeRegistry {
+  constructor() {
+    this.types = new Map();
+  }
+
+  register(id, definition = {}) {
+    this.types.set(id, { ...GOO_TYPE_DEFAULTS, ...definition, id });
+    return this;
+  }
+
+  // Unknown ids fall back to the first registered type
+  get(id) {
+    return this.types.get(id) || this.types.values().next().value;
+  }
+
+  has(id) {
+    return this.types.has(id);
+  }
+
+  list() {
+    return Array.from(this.types.values());
+  }
+
+  // Options for Mesh.createNode
+  nodeOptions(id) {
+    const type = this.get(id);
+    return {
+      type: type.id,
+      radius: type.radius,
+      mass: type.mass,
+      gravityScale: type.gravityScale,
+      sticky: type.sticky,
+      detachable: type.detachable
+    };
+  }
+
+  // Options for Mesh.createLink, relative to the mesh's base stiffness
+  linkOptions(id, baseStiffness) {
+    const type = this.get(id);
+    return {
+      stiffness: Math.min(1, baseStiffness * type.linkStiffness),
+      restMultiplier: type.restMultiplier,
+      slack: type.slack,
+      breakStrain: type.breakStrain
+    };
+  }
+}
+
+// ==================== BUILT-IN TYPES ====================
+
+const gooTypes = new GooTypeRegistry()
+  .register('standard', {
+    label: 'Standard'
+  })
+  .register('heavy', {
+    label: 'Heavy',
+    color: 0x8d93b5,
+    shape: 'square',
+    radius: 12,
+    mass: 45,
+    linkStiffness: 3,
+    restMultiplier: 0.9,
+    breakStrain: 0.4,
+    angleStiffness: 0.9
+  })
+  .register('balloon', {
+    label: 'Balloon',
+    color: 0xff7eb6,
+    shape: 'ring',
+    radius: 13,
+    mass: 4,
+    gravityScale: -1.5,
+    restMultiplier: 1.0
+  })
+  .register('sticky', {
+    label: 'Sticky',
+    color: 0x7dff8a,
+    shape: 'diamond',
+    sticky: true
+  })
+  .register('rope', {
+    label: 'Rope',
+    color: 0xd9a066,
+    shape: 'triangle',
+    mass: 8,
+    linkStiffness: 2,
+    restMultiplier: 1.0,
+    slack: true,
+    angleConstraint: false
+  })
+  .register('detachable', {
+    label: 'Detachable',
+    color: 0x5fd4ff,
+    shape: 'hexagon',
+    detachable: true
+  });
+
+// Export for use in other modules or browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { GooTypeRegistry, GOO_TYPE_DEFAULTS, gooTypes };
+}
@@ -3,22 +3,75 @@
 
 // ==================== CONFIGURATION ====================
 const WIDTH = window.innerWidth, HEIGHT = window.innerHeight;
-const GROUND_Y = HEIGHT - 90;
+
+// Sandbox world, independent of the window so towers can outgrow the screen
+const SANDBOX_WIDTH = 3200, SANDBOX_HEIGHT = 2400;
+const SANDBOX_GROUND_Y = SANDBOX_HEIGHT - 90;
+const PAN_SPEED = 600;
+const ZOOM_STEP = 1.1;
+
+// Auto-connect: new nodes link to up to MAX_LINKS nearest nodes within reach
+const MAX_REACH = 220;
+const MAX_LINKS = 4;
+
+// Blobs dropped with O: a ring of goo held open by internal pressure
+const BLOB_RADIUS = 50;
+const BLOB_SEGMENTS = 12;
+const BLOB_PRESSURE = 1.1;
+
+// Force field tools, cycled with W; new fields start from these definitions
+const FIELD_TOOLS = [null, 'wind', 'attractor', 'repulsor', 'gravity', 'explosion'];
+const FIELD_DEFINITIONS = {
+  wind: { type: 'wind', width: 700, height: 500, direction: 0, strength: 260, gust: 0.5, turbulence: 0.4 },
+  attractor: { type: 'radial', radius: 260, strength: 500, falloff: 'linear' },
+  repulsor: { type: 'radial', radius: 260, strength: -700, falloff: 'linear' },
+  gravity: { type: 'gravity', width: 400, height: 500, gravity: { x: 0, y: -175 } }
+};
+const EXPLOSION_RADIUS = 220;
+const EXPLOSION_IMPULSE = 900;
+const FIELD_HANDLE_R = 24;
 const CURSOR_R = 10;
+const AUTOSAVE_KEY = 'web-goo:autosave';
+const LEVEL_KEY = 'web-goo:level';
+const AUTOSAVE_INTERVAL_MS = 5000;
+const NOTICE_MS = 4000;
+const HISTORY_DEPTH = 100;
+const GRAB_HOLD_MS = 200;
+const GRAB_MOVE_PX = 6;
+
+// Fingers hold a node or field this long to delete it, and reach this many
+// extra screen px so a near miss doesn't build right next to a node
+const LONG_PRESS_MS = 600;
+const TOUCH_SLOP_PX = 14;
+
+const TIMESTEP = 1 / 60;
+const MAX_SUBSTEPS = 5;
+
+// ?deterministic applies input only on step boundaries so sessions replay exactly
+const DETERMINISTIC = new URLSearchParams(window.location.search).has('deterministic');
+
+// Physics settings come from the URL (?preset=jelly, ?gravity=90, ...) or
+// the defaults, and are tuned live from the settings panel
+const presetStore = new PresetStore();
+const urlSettings = presetStore.fromQuery(window.location.search);
+let physicsSettings = urlSettings || PresetStore.normalize(DEFAULT_PHYSICS_SETTINGS);
 
 // Initialize mesh with physics configuration
 const mesh = new Mesh({
-  gravity: { x: 0, y: 175 },
-  damping: 0.995,
-  solverIterations: 6,
-  stiffness: 0.25,
-  wallRestitution: 0.25,
-  groundRestitution: 0.18,
-  friction: 0.85,
-  bounds: { width: WIDTH, height: HEIGHT },
-  groundY: GROUND_Y,
+  ...meshConfig(physicsSettings),
+  bounds: { width: SANDBOX_WIDTH, height: SANDBOX_HEIGHT },
+  groundY: SANDBOX_GROUND_Y,
   defaultNodeRadius: 8,
-  defaultNodeMass: 15
+  defaultNodeMass: 15,
+  breakStrain: 0.25,
+  breakSteps: 6,
+  allowSleeping: true,
+  connectionStrategy: new ConnectionStrategy({
+    minLinks: 2,
+    maxLinks: 2,
+    maxReach: MAX_REACH,
+    minAngle: 0.2
+  })
 });
 
 // Initialize renderer
@@ -29,87 +82,1139 @@ const renderer = new MeshRenderer({
 });
 
 const app = renderer.initialize(WIDTH, HEIGHT, document.body);
+renderer.setWorldBounds(SANDBOX_WIDTH, SANDBOX_HEIGHT);
+
+// Goo type palette
+let activeGooType = 'standard';
+renderer.setNodeStyles(Object.fromEntries(
+  gooTypes.list().map(type => [type.id, { color: type.color, shape: type.shape }])
+));
+renderer.setPalette(gooTypes.list().map(({ id, label }) => ({ id, label })), activeGooType);
+
+// Tools, picked with their hotkeys or from the toolbar
+const TOOLS = [
+  { id: 'build', label: 'Build', key: 'b' },
+  { id: 'delete', label: 'Delete', key: 'd' },
+  { id: 'pin', label: 'Pin', key: 'p' },
+  { id: 'link', label: 'Link', key: 'l' },
+  { id: 'cut', label: 'Cut', key: 'c' }
+];
+const BUILD_HUD_TEXT = "Click to add goo (1-6 picks the type). Click a node to delete it, drag to move it, Shift+click to pin it, O drops a blob, W picks a force field. Wheel zooms, middle-drag or arrows pan, F follows.";
+const TOOL_HUD_TEXT = {
+  build: BUILD_HUD_TEXT,
+  delete: "Delete: click a node to remove it, along with any goo it leaves hanging. B goes back to building.",
+  pin: "Pin: click a node to pin or unpin it. B goes back to building.",
+  link: "Link: click two nodes to join them, then keep clicking to chain links. Links can't cross others or reach further than new goo. Esc stops.",
+  cut: "Cut: drag a line across links to sever them. B goes back to building."
+};
+let activeTool = 'build';
+renderer.setToolbar(TOOLS);
+renderer.setHUDText(BUILD_HUD_TEXT);
+
+// Undo/redo for build and delete actions
+const commandHistory = new CommandHistory({ depth: HISTORY_DEPTH });
 
 // ==================== SIMULATION STATE ====================
+// Fixed-timestep driver; every user action goes through it as an input object
+const stepper = new FixedStepper(mesh, {
+  timestep: TIMESTEP,
+  maxSubsteps: MAX_SUBSTEPS,
+  deterministic: DETERMINISTIC,
+  inputHandler: applyInput
+});
+
+// Live physics tuning; S toggles the panel
+const settingsPanel = new SettingsPanel({
+  store: presetStore,
+  settings: physicsSettings,
+  onChange: (settings) => {
+    // Replays re-apply their own recorded settings
+    if (replayPlayer) settingsPanel.setSettings(physicsSettings);
+    else stepper.input({ type: 'settings', settings });
+  }
+});
+
+// Every session (scene, level or import) is recorded for replays
+const recorder = new SessionRecorder(stepper);
+const replayControls = new ReplayControls({ onExit: exitReplay, onExport: exportReplay });
+let replayPlayer = null;
+let liveSession = null;
+
+// Exact mesh state the current session started from; the recording keeps JSON
+let sessionStart = null;
+
+// Per-step metrics for the diagnostics panel, collected only while it is open
+const diagnosticsLog = new DiagnosticsLog(mesh, { capacity: 240 });
+
+// Active level (null in free-build sandbox); index into LEVELS when built in
+let currentLevel = null;
+let currentLevelIndex = -1;
+
+// The level's rules for this session (null without any), the best results
+// per level and the screen shown once the rules decide a run
+let rulesEngine = null;
+let resultShown = false;
+const resultStore = new ResultStore();
+const resultScreen = new ResultScreen({ onRetry: restartLevel, onNext: startNextLevel });
+
+// Banner message shown by showNotice: { text, previous, timer }
+let notice = null;
 
 // ==================== SCENE INITIALIZATION ====================
-// Create initial triangle
-mesh.createTriangle(WIDTH * 0.5, HEIGHT * 0.3, 70);
+// Restore the autosaved structure, or start from the initial triangle
+if (!restoreAutosave()) {
+  mesh.createTriangle(SANDBOX_WIDTH * 0.5, SANDBOX_GROUND_Y - 200, 70);
+}
+focusCamera();
+
+// A shared settings link wins over the autosave's physics
+if (urlSettings) applyPhysicsSettings(urlSettings);
+beginSession();
 
 // ==================== INPUT STATE ====================
-// Input state
-let mouse = { x: WIDTH * 0.7, y: HEIGHT * 0.2 };
+// Input state: pointer in client coordinates, mouse in world coordinates;
+// only mice hover, so hover feedback follows the last pointer type used
+let pointer = { x: WIDTH * 0.7, y: HEIGHT * 0.2 };
+let mouse = { x: 0, y: 0 };
+let pointerType = 'mouse';
 let isDeleteMode = false;
 let hoveredNode = null;
 
+// Active force field tool (null uses activeTool)
+let fieldTool = null;
+
+// Link tool: the node the next link starts from; cut tool: the line being drawn
+let linkStart = null;
+let cutLine = null;
+
+// Node drags by pointer id, so several fingers can each hold a node
+let drags = {};
+
+// Building: moving a press on a node (or a field's centre with a field
+// tool) drags it; a mouse click deletes it, or a held mouse grabs it; a
+// finger deletes it with a long press instead. The other tools act on
+// taps, except cut, which drags. Two fingers on empty space pinch and pan
+const pointerInput = new PointerInput({
+  hitTest: pointerTarget,
+  canDrag: () => !!fieldTool || activeTool === 'build' || activeTool === 'cut',
+  canLongPress: () => !!fieldTool || activeTool === 'build',
+  moveThreshold: GRAB_MOVE_PX,
+  holdToDragMs: GRAB_HOLD_MS,
+  longPressMs: LONG_PRESS_MS,
+  handlers: {
+    tap: handleTap,
+    dragStart: handleDragStart,
+    dragMove: handleDragMove,
+    dragEnd: handleDragEnd,
+    longPress: (p) => deleteTarget(p.target),
+    pinch: handlePinch
+  }
+});
+
+// Camera controls: middle-drag pan and held arrow keys
+let panning = null;
+const heldKeys = new Set();
+
 // ==================== INTERACTION HELPERS ====================
 
+// The camera can move under a still pointer, so re-project it every frame
+function updateMouse() {
+  const worldPos = renderer.screenToWorld(pointer.x, pointer.y);
+  mouse.x = worldPos.x;
+  mouse.y = worldPos.y;
+}
+
+// A short message in the banner, e.g. why a file didn't load; the banner
+// goes back to what it said unless something else replaced it meanwhile
+function showNotice(text) {
+  const showing = notice && renderer.banner === notice.text;
+  const previous = showing ? notice.previous : renderer.banner;
+  if (notice) clearTimeout(notice.timer);
+
+  renderer.setBanner(text);
+  const timer = setTimeout(() => {
+    if (renderer.banner === text) renderer.setBanner(previous);
+    notice = null;
+  }, NOTICE_MS);
+  notice = { text, previous, timer };
+}
+
+function focusCamera() {
+  const nodes = mesh.getNodes();
+  if (nodes.length === 0) return;
+
+  const x = nodes.reduce((sum, node) => sum + node.x, 0) / nodes.length;
+  const y = nodes.reduce((sum, node) => sum + node.y, 0) / nodes.length;
+  renderer.centerOn(x, y);
+}
+
 // ==================== MAIN SIMULATION LOOP ====================
 app.ticker.add(() => {
+  // Arrow keys pan the camera
+  const panStep = PAN_SPEED * app.ticker.deltaMS / 1000;
+  const panX = (heldKeys.has('ArrowLeft') ? panStep : 0) - (heldKeys.has('ArrowRight') ? panStep : 0);
+  const panY = (heldKeys.has('ArrowUp') ? panStep : 0) - (heldKeys.has('ArrowDown') ? panStep : 0);
+  if (panX || panY) {
+    renderer.setFollowMode(false);
+    renderer.pan(panX, panY);
+  }
+  updateMouse();
+
+  // Held presses turn into grabs (mouse) or long-press deletes (touch, pen)
+  const now = performance.now();
+  pointerInput.update(now);
+
   // Update interaction state
   hoveredNode = mesh.getNodeAt(mouse.x, mouse.y);
-  isDeleteMode = hoveredNode !== null;
+  const hovering = activeTool === 'delete' || (activeTool === 'build' && pointerType === 'mouse');
+  isDeleteMode = hovering && hoveredNode !== null && Object.keys(drags).length === 0 &&
+    !replayPlayer && !fieldTool;
+
+  // The link tool's start node may have been removed since it was picked
+  if (linkStart && !mesh.nodes.includes(linkStart)) linkStart = null;
 
   // Update renderer state
   renderer.setCursor(mouse.x, mouse.y);
   renderer.setDeleteMode(isDeleteMode, hoveredNode);
+  renderer.setDrags(Object.values(drags));
+  renderer.setLinkPreview(linkStart ? {
+    from: linkStart,
+    to: hoveredNode !== linkStart ? hoveredNode : null,
+    valid: hoveredNode !== null && canLink(linkStart, hoveredNode)
+  } : null);
+  renderer.setCutLine(cutLine);
+  renderer.setDeleteConfirmations(pointerInput.getLongPresses(now).map(({ pointer: press, progress }) => {
+    const { node, field } = press.target;
+    return node
+      ? { x: node.x, y: node.y, radius: node.r, progress }
+      : { x: field.x, y: field.y, radius: FIELD_HANDLE_R, progress };
+  }));
+
+  // Step physics simulation with the real elapsed frame time; replays
+  // drive the mesh themselves
+  let alpha = 1;
+  if (replayPlayer) {
+    replayPlayer.advance(app.ticker.deltaMS / 1000);
+    replayControls.update();
+  } else {
+    alpha = stepper.advance(app.ticker.deltaMS / 1000);
+  }
+
+  // Dragged nodes may have been removed (e.g. a broken link orphaned them)
+  for (const id of Object.keys(drags)) {
+    if (!mesh.mouseConstraints.includes(drags[id])) delete drags[id];
+  }
+
+  // The rules engine checks every step; replays leave it where it was
+  if (rulesEngine && !replayPlayer) {
+    const { time, nodes, score } = rulesEngine.getStats();
+    renderer.setRuleProgress([
+      ...rulesEngine.getProgress(),
+      { label: `${time.toFixed(1)}s · ${nodes} nodes · score ${score}` }
+    ]);
+    if (rulesEngine.finished && !resultShown) showResult();
+  }
 
-  // Step physics simulation
-  mesh.step();
+  if (renderer.showDiagnostics) {
+    renderer.setDiagnosticsData(DIAGNOSTIC_SERIES.map(({ key, label }) => ({
+      label,
+      values: diagnosticsLog.series(key)
+    })));
+  }
 
   // Render frame
-  renderer.render(mesh, GROUND_Y);
+  renderer.render(mesh, mesh.groundY, alpha);
 });
 
 
 // ==================== INPUT HANDLING ====================
-renderer.getCanvas().addEventListener('pointermove', (e) => {
-  const worldPos = renderer.screenToWorld(e.clientX, e.clientY);
-  mouse.x = worldPos.x;
-  mouse.y = worldPos.y;
+const canvas = renderer.getCanvas();
+
+// Fingers drive the sandbox rather than scrolling or zooming the page
+canvas.style.touchAction = 'none';
+
+canvas.addEventListener('pointermove', (e) => {
+  if (panning) {
+    const from = renderer.screenToCanvas(panning.x, panning.y);
+    const to = renderer.screenToCanvas(e.clientX, e.clientY);
+    renderer.pan(to.x - from.x, to.y - from.y);
+    panning = { x: e.clientX, y: e.clientY };
+  }
+
+  if (e.isPrimary !== false) trackPointer(e);
+  pointerInput.move(e);
 });
 
-renderer.getCanvas().addEventListener('pointerdown', handleClick);
+canvas.addEventListener('pointerdown', handlePointerDown);
+window.addEventListener('pointerup', (e) => {
+  if (e.button === 1) panning = null;
+  pointerInput.up(e);
+});
+window.addEventListener('pointercancel', (e) => pointerInput.cancel(e));
+
+// Wheel zooms around the cursor
+canvas.addEventListener('wheel', (e) => {
+  e.preventDefault();
+  const canvasPos = renderer.screenToCanvas(e.clientX, e.clientY);
+  renderer.zoomAt(e.deltaY < 0 ? ZOOM_STEP : 1 / ZOOM_STEP, canvasPos.x, canvasPos.y);
+  updateMouse();
+}, { passive: false });
+
+function trackPointer(e) {
+  pointer.x = e.clientX;
+  pointer.y = e.clientY;
+  updateMouse();
+
+  const type = e.pointerType || 'mouse';
+  if (type !== pointerType) {
+    pointerType = type;
+    renderer.setCursorVisible(type !== 'touch');
+  }
+}
+
+function handlePointerDown(e) {
+  // Middle button pans the camera
+  if (e.button === 1) {
+    e.preventDefault();
+    renderer.setFollowMode(false);
+    panning = { x: e.clientX, y: e.clientY };
+    return;
+  }
+  if (e.button !== 0) return;
+
+  if (e.isPrimary !== false) trackPointer(e);
+
+  if (!replayPlayer) {
+    const canvasPos = renderer.screenToCanvas(e.clientX, e.clientY);
+    const paletteItem = renderer.getPaletteItemAt(canvasPos.x, canvasPos.y);
+    if (paletteItem) {
+      selectGooType(paletteItem);
+      return;
+    }
+    const toolbarItem = renderer.getToolbarItemAt(canvasPos.x, canvasPos.y);
+    if (toolbarItem) {
+      setTool(toolbarItem);
+      return;
+    }
+
+    // Shift+click pins while building, too
+    const node = e.shiftKey && !fieldTool && activeTool === 'build' ? mesh.getNodeAt(mouse.x, mouse.y) : null;
+    if (node) {
+      stepper.input({ type: 'pin', node: mesh.nodes.indexOf(node) });
+      return;
+    }
+  }
+
+  pointerInput.down(e, performance.now());
+}
+
+// What a press lands on: { node }, { field } with a field tool, or null;
+// a cut can start anywhere
+function pointerTarget(clientX, clientY, type) {
+  const world = renderer.screenToWorld(clientX, clientY);
+  if (fieldTool) {
+    const field = getFieldAt(world.x, world.y);
+    return field ? { field } : null;
+  }
+  if (activeTool === 'cut') return { cut: true };
 
-function handleClick() {
-  if (isDeleteMode && hoveredNode) {
-    // Delete mode - remove the hovered node
-    mesh.removeNode(hoveredNode);
+  const node = mesh.getNodeAt(world.x, world.y);
+  if (node || type !== 'touch') return node ? { node } : null;
+
+  const [nearest] = mesh.getNearestNodes(world.x, world.y, 1);
+  const reach = TOUCH_SLOP_PX / renderer.camera.zoom;
+  return nearest && Math.hypot(nearest.x - world.x, nearest.y - world.y) <= nearest.r + reach
+    ? { node: nearest }
+    : null;
+}
+
+// Replays only take camera gestures
+function handleTap(p) {
+  if (replayPlayer) return;
+
+  const world = renderer.screenToWorld(p.x, p.y);
+  const node = p.target && p.target.node;
+  if (fieldTool || activeTool === 'build') {
+    if (p.target) {
+      // Mice hover over what they delete; fingers long-press instead
+      if (p.type === 'mouse') deleteTarget(p.target);
+    } else if (fieldTool) {
+      stepper.input({ type: 'field', tool: fieldTool, x: world.x, y: world.y });
+    } else {
+      // Add mode - try to add a new node
+      stepper.input({ type: 'add', x: world.x, y: world.y, gooType: activeGooType });
+    }
+  } else if (activeTool === 'delete') {
+    if (node) deleteTarget(p.target);
+  } else if (activeTool === 'pin') {
+    if (node) stepper.input({ type: 'pin', node: mesh.nodes.indexOf(node) });
+  } else if (activeTool === 'link') {
+    pickLinkNode(node);
+  }
+}
+
+// The first node picked starts a link; each one after ends it and starts
+// the next. Empty space or the start node again stops
+function pickLinkNode(node) {
+  if (linkStart && node && node !== linkStart) {
+    stepper.input({ type: 'link', a: mesh.nodes.indexOf(linkStart), b: mesh.nodes.indexOf(node) });
+  }
+  linkStart = node && node !== linkStart ? node : null;
+}
+
+function deleteTarget(target) {
+  if (replayPlayer) return;
+
+  if (target.node) {
+    stepper.input({ type: 'delete', node: mesh.nodes.indexOf(target.node) });
+  } else if (target.field) {
+    stepper.input({ type: 'removeField', field: mesh.forceFields.indexOf(target.field) });
+  }
+}
+
+function handleDragStart(p) {
+  if (replayPlayer) return;
+
+  if (p.target.cut) {
+    const start = renderer.screenToWorld(p.startX, p.startY);
+    const end = renderer.screenToWorld(p.x, p.y);
+    cutLine = { x1: start.x, y1: start.y, x2: end.x, y2: end.y };
     return;
   }
+  if (!p.target.node) return;
+
+  const world = renderer.screenToWorld(p.x, p.y);
+  stepper.input({ type: 'grab', pointer: p.id, node: mesh.nodes.indexOf(p.target.node), x: world.x, y: world.y });
+}
+
+function handleDragMove(p) {
+  if (replayPlayer) return;
+
+  const world = renderer.screenToWorld(p.x, p.y);
+  if (p.target.cut) {
+    if (cutLine) Object.assign(cutLine, { x2: world.x, y2: world.y });
+  } else if (p.target.field) {
+    stepper.input({ type: 'moveField', field: mesh.forceFields.indexOf(p.target.field), x: world.x, y: world.y });
+  } else {
+    stepper.input({ type: 'drag', pointer: p.id, x: world.x, y: world.y });
+  }
+}
 
-  // Add mode - try to add a new node
-  const nearest = mesh.getNearestNodes(mouse.x, mouse.y, 2);
-  if (nearest.length < 2) return;
+function handleDragEnd(p) {
+  if (replayPlayer) return;
 
-  // Check which connections are valid (don't cross existing links)
-  const tempCursor = { x: mouse.x, y: mouse.y };
-  const canConnect1 = !mesh.wouldLinkCross(tempCursor, nearest[0]);
-  const canConnect2 = !mesh.wouldLinkCross(tempCursor, nearest[1]);
+  if (p.target.cut) {
+    if (cutLine) stepper.input({ type: 'cut', ...cutLine });
+    cutLine = null;
+  } else if (p.target.node) {
+    stepper.input({ type: 'release', pointer: p.id });
+  }
+}
 
-  // Only commit if BOTH connections are valid (need at least 2 connections)
-  if (!canConnect1 || !canConnect2) return;
+// Two fingers: the midpoint pans and the spread zooms around it
+function handlePinch({ x, y, dx, dy, scale }) {
+  renderer.setFollowMode(false);
+  const from = renderer.screenToCanvas(x - dx, y - dy);
+  const to = renderer.screenToCanvas(x, y);
+  renderer.pan(to.x - from.x, to.y - from.y);
+  renderer.zoomAt(scale, to.x, to.y);
+  updateMouse();
+}
+
+function setTool(id) {
+  activeTool = id;
+  fieldTool = null;
+  linkStart = null;
+  cutLine = null;
+  renderer.setTool(id);
+  renderer.setHUDText(hudText());
+}
+
+function selectGooType(id) {
+  if (!gooTypes.has(id)) return;
+  activeGooType = id;
+  renderer.setActivePaletteItem(id);
+}
+
+// Inputs are plain objects (nodes referenced by index) so they can be logged;
+// drags are keyed by pointer id, which replays from before multi-touch lack
+function applyInput(input) {
+  const dragId = input.pointer ?? 0;
+
+  switch (input.type) {
+    case 'add':
+      addNode(input.x, input.y, input.gooType);
+      break;
+    case 'blob':
+      addBlob(input.x, input.y);
+      break;
+    case 'delete':
+      deleteNode(mesh.nodes[input.node]);
+      break;
+    case 'pin':
+      togglePin(mesh.nodes[input.node]);
+      break;
+    case 'link':
+      linkNodes(mesh.nodes[input.a], mesh.nodes[input.b]);
+      break;
+    case 'cut':
+      cutLinks(input.x1, input.y1, input.x2, input.y2);
+      break;
+    case 'grab':
+      grabNode(dragId, mesh.nodes[input.node], input.x, input.y);
+      break;
+    case 'drag':
+      if (drags[dragId]) drags[dragId].setTarget(input.x, input.y);
+      break;
+    case 'release':
+      releaseNode(dragId);
+      break;
+    case 'settings':
+      applyPhysicsSettings(input.settings);
+      mesh.wakeAll();
+      break;
+    case 'maxLinks':
+      setMaxLinks(input.count);
+      break;
+    case 'field':
+      placeField(input.tool, input.x, input.y);
+      break;
+    case 'moveField':
+      if (mesh.forceFields[input.field]) mesh.moveForceField(mesh.forceFields[input.field], input.x, input.y);
+      break;
+    case 'removeField':
+      if (mesh.forceFields[input.field]) mesh.removeForceField(mesh.forceFields[input.field]);
+      break;
+    case 'clearFields':
+      mesh.getForceFields().slice().forEach(field => mesh.removeForceField(field));
+      break;
+    case 'undo':
+      commandHistory.undo();
+      mesh.wakeAll();
+      break;
+    case 'redo':
+      commandHistory.redo();
+      mesh.wakeAll();
+      break;
+  }
+}
+
+function togglePin(node) {
+  if (!node) return;
+
+  node.pinned = !node.pinned;
+  mesh.wake(node);
+  commandHistory.push(new TogglePinCommand(node));
+}
+
+function deleteNode(node) {
+  if (!node) return;
+
+  // Remove the node and any orphans it leaves
+  const removed = mesh.removeNode(node);
+  commandHistory.push(new RemoveElementsCommand(mesh, removed));
+}
+
+// Manual links join two nodes within reach that aren't linked yet, without
+// crossing another link
+function canLink(a, b) {
+  return !!a && !!b && a !== b && mesh.nodes.includes(a) && mesh.nodes.includes(b) &&
+    Math.hypot(a.x - b.x, a.y - b.y) <= MAX_REACH &&
+    !mesh.getLinkBetween(a, b) && !mesh.wouldLinkCross(a, b);
+}
+
+function linkNodes(a, b) {
+  if (!canLink(a, b)) return;
+
+  // Links take the settings of the goo they start from
+  const linkOptions = gooTypes.linkOptions(gooTypes.get(a.type).id, mesh.stiffness * physicsSettings.linkStiffness);
+  const link = mesh.createLink(a, b, linkOptions);
+  commandHistory.push(new AddElementsCommand(mesh, { nodes: [], links: [link], angleConstraints: [] }));
+}
+
+// Sever every link the line crosses, and whatever goo that leaves hanging
+function cutLinks(x1, y1, x2, y2) {
+  const removed = { nodes: [], links: [], angleConstraints: [], pressureConstraints: [] };
+  for (const link of mesh.getLinksCrossing(x1, y1, x2, y2)) {
+    mesh.removeLink(link, removed);
+  }
+  if (removed.links.length > 0) {
+    commandHistory.push(new RemoveElementsCommand(mesh, removed));
+  }
+}
+
+function grabNode(id, node, x, y) {
+  // One pointer per node
+  if (!node || Object.values(drags).some(drag => drag.node === node)) return;
+
+  // Detachable goo comes off its structure when grabbed
+  if (node.detachable) {
+    const removed = mesh.detachNode(node);
+    if (removed.links.length > 0) {
+      commandHistory.push(new RemoveElementsCommand(mesh, removed));
+    }
+  }
+
+  drags[id] = mesh.createMouseConstraint(node, x, y);
+}
+
+function releaseNode(id) {
+  const drag = drags[id];
+  if (!drag) return;
+  delete drags[id];
+
+  // A broken link may have orphaned the node mid-drag
+  if (!mesh.mouseConstraints.includes(drag)) return;
+
+  const node = drag.node;
+  mesh.removeMouseConstraint(drag);
+
+  // Detached goo re-attaches wherever it is dropped, if it can
+  if (node.detachable && mesh.getConnectionCount(node) === 0) {
+    attachNode(node);
+  }
+}
+
+// How many links new nodes may make, changed with [ and ]
+function setMaxLinks(count) {
+  const strategy = mesh.connectionStrategy;
+  strategy.maxLinks = Math.max(strategy.minLinks, Math.min(MAX_LINKS, count));
+}
+
+// Link a node to the planned anchors using its goo type's link settings
+function connectNode(node, plan, gooType) {
+  const type = gooTypes.get(gooType);
+  const linkOptions = gooTypes.linkOptions(type.id, mesh.stiffness * physicsSettings.linkStiffness);
+  const angleStiffness = Math.min(1, type.angleStiffness * physicsSettings.angleStiffness);
+
+  const links = plan.anchors.map(anchor => mesh.createLink(node, anchor, linkOptions));
+
+  // Brace neighbouring links to prevent bending
+  const angleConstraints = type.angleConstraint && angleStiffness > 0
+    ? plan.angles.map(([a, b]) => mesh.createAngleConstraint(a, node, b, angleStiffness))
+    : [];
+
+  return { links, angleConstraints };
+}
+
+function addNode(x, y, gooType) {
+  const plan = mesh.planConnections(x, y);
+  if (!plan.valid) return;
 
   // Create new node with initial downward velocity
-  const newNode = mesh.createNode(mouse.x, mouse.y, {
-    radius: CURSOR_R,
+  const newNode = mesh.createNode(x, y, {
+    ...gooTypes.nodeOptions(gooType),
     initialVelocity: { x: 0, y: 3 }
   });
 
-  // Create both links with stronger support characteristics
-  mesh.createLink(newNode, nearest[0], { stiffness: mesh.stiffness * 1.5, restMultiplier: 0.85 });
-  mesh.createLink(newNode, nearest[1], { stiffness: mesh.stiffness * 1.5, restMultiplier: 0.85 });
+  const { links, angleConstraints } = connectNode(newNode, plan, gooType);
+  commandHistory.push(new AddElementsCommand(mesh, {
+    nodes: [newNode],
+    links,
+    angleConstraints
+  }));
+}
+
+function addBlob(x, y) {
+  const elements = mesh.createBlob(x, y, BLOB_RADIUS, BLOB_SEGMENTS, BLOB_PRESSURE);
+  commandHistory.push(new AddElementsCommand(mesh, elements));
+}
+
+function placeField(tool, x, y) {
+  if (tool === 'explosion') {
+    mesh.explode(x, y, EXPLOSION_RADIUS, EXPLOSION_IMPULSE);
+  } else if (FIELD_DEFINITIONS[tool]) {
+    mesh.createForceField({ ...FIELD_DEFINITIONS[tool], x, y });
+  }
+}
 
-  // Add angle constraint to prevent bending
-  mesh.createAngleConstraint(nearest[0], newNode, nearest[1], 0.5);
+// Placed field whose centre handle is at a world position, or null
+function getFieldAt(x, y) {
+  return mesh.getForceFields().find(field =>
+    field.type !== 'explosion' && Math.hypot(field.x - x, field.y - y) <= FIELD_HANDLE_R) || null;
+}
+
+// A field tool stands in for the active tool until W cycles back to none
+function setFieldTool(tool) {
+  fieldTool = tool;
+  linkStart = null;
+  cutLine = null;
+  renderer.setTool(tool ? 'field' : activeTool);
+  renderer.setHUDText(hudText());
+}
+
+function hudText() {
+  if (fieldTool === 'explosion') {
+    return "Explosion: click to set one off. W switches tool, Shift+W clears all fields.";
+  }
+  if (fieldTool) {
+    const label = fieldTool === 'gravity' ? 'Gravity zone' : fieldTool[0].toUpperCase() + fieldTool.slice(1);
+    return `${label}: click to place one, drag a field's centre to move it, click the centre to remove it. W switches tool, Shift+W clears all fields.`;
+  }
+  return TOOL_HUD_TEXT[activeTool];
+}
+
+function attachNode(node) {
+  const plan = mesh.planConnections(node.x, node.y, node);
+  if (!plan.valid) return;
+
+  const { links, angleConstraints } = connectNode(node, plan, node.type);
+  commandHistory.push(new AddElementsCommand(mesh, { nodes: [], links, angleConstraints }));
+}
+
+// ==================== PERSISTENCE ====================
+
+// Load a saved structure while keeping the current world's bounds; its
+// physics config becomes the current settings
+function loadStructure(data) {
+  mesh.loadJSON(data);
+  applyWorldBounds();
+
+  physicsSettings = PresetStore.normalize({
+    ...physicsSettings,
+    gravity: mesh.gravity.y,
+    damping: mesh.damping,
+    solverIterations: mesh.solverIterations,
+    stiffness: mesh.stiffness,
+    friction: mesh.friction,
+    groundRestitution: mesh.groundRestitution,
+    wallRestitution: mesh.wallRestitution
+  });
+  settingsPanel.setSettings(physicsSettings);
+}
+
+// Levels bring their own world size; otherwise use the sandbox world
+function applyWorldBounds() {
+  if (currentLevel) {
+    mesh.setBounds(currentLevel.world.width, currentLevel.world.height);
+    mesh.setGroundY(currentLevel.world.groundY);
+  } else {
+    mesh.setBounds(SANDBOX_WIDTH, SANDBOX_HEIGHT);
+    mesh.setGroundY(SANDBOX_GROUND_Y);
+  }
+  renderer.setWorldBounds(mesh.bounds.width, mesh.bounds.height);
 }
 
+function restoreAutosave() {
+  const saved = localStorage.getItem(AUTOSAVE_KEY);
+  if (!saved) return false;
+
+  try {
+    const savedLevel = localStorage.getItem(LEVEL_KEY);
+    if (savedLevel) {
+      const { index, definition } = JSON.parse(savedLevel);
+      setLevel(new Level(definition), index);
+    }
+    loadStructure(JSON.parse(saved));
+    return true;
+  } catch (err) {
+    localStorage.removeItem(AUTOSAVE_KEY);
+    localStorage.removeItem(LEVEL_KEY);
+    setLevel(null, -1);
+    showNotice(`Discarded an unreadable autosave: ${err.message}`);
+    mesh.clear();
+    applyWorldBounds();
+    return false;
+  }
+}
+
+function autosave() {
+  if (replayPlayer) return;
+  localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(mesh));
+  if (currentLevel) {
+    localStorage.setItem(LEVEL_KEY, JSON.stringify({
+      index: currentLevelIndex,
+      definition: currentLevel.definition
+    }));
+  } else {
+    localStorage.removeItem(LEVEL_KEY);
+  }
+}
+
+function exportStructure() {
+  downloadFile('goo-structure.json', JSON.stringify(mesh, null, 2), 'application/json');
+}
+
+function downloadFile(name, contents, type) {
+  const blob = new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+const fileInput = document.createElement('input');
+fileInput.type = 'file';
+fileInput.accept = 'application/json,.json';
+fileInput.addEventListener('change', async () => {
+  const file = fileInput.files[0];
+  fileInput.value = '';
+  if (!file) return;
+
+  try {
+    const data = JSON.parse(await file.text());
+    if (ReplayPlayer.isReplay(data)) {
+      startReplay(data, false);
+      return;
+    }
+
+    if (replayPlayer) exitReplay();
+    if (Level.isLevel(data)) {
+      startLevel(new Level(data), -1);
+    } else {
+      loadStructure(data);
+      focusCamera();
+      beginSession();
+    }
+    autosave();
+  } catch (err) {
+    showNotice(`Could not import ${file.name}: ${err.message}`);
+  }
+});
+
+function importStructure() {
+  fileInput.click();
+}
+
+setInterval(autosave, AUTOSAVE_INTERVAL_MS);
+window.addEventListener('beforeunload', autosave);
+
+// ==================== PHYSICS SETTINGS ====================
+
+// Mesh config for a settings object; the stiffness multipliers are applied
+// when goo is placed (see connectNode)
+function meshConfig(settings) {
+  return {
+    gravity: { x: 0, y: settings.gravity },
+    damping: settings.damping,
+    solverIterations: settings.solverIterations,
+    stiffness: settings.stiffness,
+    friction: settings.friction,
+    groundRestitution: settings.groundRestitution,
+    wallRestitution: settings.wallRestitution
+  };
+}
+
+function applyPhysicsSettings(settings) {
+  physicsSettings = PresetStore.normalize(settings);
+  mesh.configure(meshConfig(physicsSettings));
+  settingsPanel.setSettings(physicsSettings);
+}
+
+// ==================== REPLAYS ====================
+
+// Start a fresh recording from the current scene
+function beginSession() {
+  commandHistory.clear();
+  stepper.reset();
+
+  // Sleep state isn't saved, so the live scene starts awake like its export
+  mesh.wakeAll();
+  startRules();
+  recorder.begin({
+    mesh: mesh.toJSON(),
+    level: currentLevel ? { index: currentLevelIndex, definition: currentLevel.definition } : null,
+    settings: physicsSettings,
+    maxLinks: mesh.connectionStrategy.maxLinks
+  });
+  sessionStart = cloneState({ ...mesh.getState(), mouseConstraints: [] }, new Set([mesh]));
+}
+
+// Everything applyInput and a step depend on, for replay keyframes
+function captureState() {
+  return cloneState({
+    mesh: mesh.getState(),
+    undoStack: commandHistory.undoStack,
+    redoStack: commandHistory.redoStack,
+    drags,
+    settings: physicsSettings,
+    maxLinks: mesh.connectionStrategy.maxLinks
+  }, new Set([mesh]));
+}
+
+function restoreState(snapshot) {
+  const state = cloneState(snapshot, new Set([mesh]));
+  mesh.setState(state.mesh);
+  commandHistory.undoStack = state.undoStack;
+  commandHistory.redoStack = state.redoStack;
+  drags = state.drags || {};
+  applyPhysicsSettings(state.settings);
+  setMaxLinks(state.maxLinks);
+}
+
+function restoreSessionStart(start) {
+  const level = start.level ? new Level(start.level.definition) : null;
+  setLevel(level, start.level ? start.level.index : -1);
+
+  // Replaying this session starts from its snapshot, like a keyframe, so
+  // link strain history and explosions survive; other replays have only JSON
+  if (start === recorder.start) {
+    mesh.setState(cloneState(sessionStart, new Set([mesh])));
+  } else {
+    mesh.loadJSON(start.mesh);
+  }
+  renderer.setWorldBounds(mesh.bounds.width, mesh.bounds.height);
+  applyPhysicsSettings(start.settings);
+  setMaxLinks(start.maxLinks);
+  commandHistory.clear();
+  drags = {};
+}
+
+// live: replaying the current session, which resumes where it was on exit
+function startReplay(replay, live) {
+  if (replayPlayer) exitReplay();
+
+  pointerInput.reset();
+  liveSession = live ? {
+    state: captureState(),
+    level: currentLevel,
+    levelIndex: currentLevelIndex,
+    rulesEngine,
+    resultShown
+  } : null;
+
+  // Replayed steps don't count towards the live run
+  if (rulesEngine) rulesEngine.detach();
+
+  try {
+    replayPlayer = new ReplayPlayer(replay, {
+      reset: restoreSessionStart,
+      apply: applyInput,
+      step: () => mesh.step(replay.timestep),
+      capture: captureState,
+      restore: restoreState
+    });
+  } catch (err) {
+    if (liveSession) restoreLiveSession();
+    else if (rulesEngine) rulesEngine.attach();
+    replayPlayer = null;
+    showNotice(`Could not start replay: ${err.message}`);
+    return;
+  }
+
+  focusCamera();
+  replayControls.attach(replayPlayer);
+  resultScreen.hide();
+  renderer.setRuleProgress([]);
+  renderer.setConnectionPreview(false);
+  renderer.setHUDText("Replay: Space plays or pauses, drag the timeline to scrub, Esc returns to building, Shift+V exports.");
+  replayPlayer.play();
+}
+
+function exitReplay() {
+  if (!replayPlayer) return;
+
+  replayPlayer = null;
+  replayControls.detach();
+  renderer.setConnectionPreview(true);
+  renderer.setHUDText(hudText());
+
+  // An imported replay becomes the new sandbox where it stopped
+  if (liveSession) restoreLiveSession();
+  else beginSession();
+
+  // Nothing is holding drags left over from the replay or before it
+  for (const id of Object.keys(drags)) {
+    stepper.input({ type: 'release', pointer: Number(id) });
+  }
+}
+
+function restoreLiveSession() {
+  setLevel(liveSession.level, liveSession.levelIndex);
+  rulesEngine = liveSession.rulesEngine;
+  resultShown = liveSession.resultShown;
+  if (rulesEngine) {
+    rulesEngine.attach();
+    if (rulesEngine.status === 'won') renderer.setGoal(currentLevel.goal, true);
+  }
+  restoreState(liveSession.state);
+  liveSession = null;
+}
+
+function exportReplay() {
+  const replay = replayPlayer ? replayPlayer.replay : recorder.toReplay();
+  downloadFile('goo-replay.json', JSON.stringify(replay), 'application/json');
+}
+
+// ==================== DIAGNOSTICS ====================
+
+function toggleDiagnostics() {
+  const enabled = !renderer.showDiagnostics;
+  mesh.setDiagnostics(enabled);
+  renderer.setDiagnosticsPanel(enabled);
+  if (enabled) diagnosticsLog.clear();
+}
+
+// JSON keeps per-iteration residuals and the physics config; CSV is flat
+function exportDiagnostics(format) {
+  if (diagnosticsLog.samples.length === 0) return;
+
+  if (format === 'csv') {
+    downloadFile('goo-diagnostics.csv', diagnosticsLog.toCSV(), 'text/csv');
+  } else {
+    downloadFile('goo-diagnostics.json', JSON.stringify(diagnosticsLog, null, 2), 'application/json');
+  }
+}
+
+// ==================== LEVELS ====================
+
+function setLevel(level, index) {
+  currentLevel = level;
+  currentLevelIndex = index;
+  renderer.setGoal(level ? level.goal : null);
+  renderer.setRules(level ? level.rules : []);
+  renderer.setBanner(level ? level.name : '');
+}
+
+// A fresh run of the current level's rules from the scene as it is now
+function startRules() {
+  if (rulesEngine) rulesEngine.detach();
+  rulesEngine = currentLevel && currentLevel.rules.length > 0
+    ? new RulesEngine(mesh, currentLevel.rules)
+    : null;
+  resultShown = false;
+  resultScreen.hide();
+  renderer.setRuleProgress([]);
+}
+
+// Wins are scored and saved as the level's best results
+function showResult() {
+  resultShown = true;
+  const won = rulesEngine.status === 'won';
+  const stats = rulesEngine.getStats();
+  const { best, newBest } = won
+    ? resultStore.record(currentLevel.name, stats)
+    : { best: resultStore.get(currentLevel.name), newBest: false };
+
+  renderer.setGoal(currentLevel.goal, won);
+  renderer.setBanner(won
+    ? `${currentLevel.name} complete! Press N for the next level`
+    : `${currentLevel.name} failed. Press R to retry`);
+  resultScreen.show({
+    title: won ? `${currentLevel.name} complete!` : `${currentLevel.name} failed`,
+    won,
+    reason: rulesEngine.reason,
+    stats,
+    best,
+    newBest
+  });
+}
+
+// Start a level from its initial state; null returns to the sandbox
+function startLevel(level, index) {
+  setLevel(level, index);
+
+  if (level) {
+    level.apply(mesh);
+  } else {
+    mesh.clear();
+    applyWorldBounds();
+    mesh.createTriangle(SANDBOX_WIDTH * 0.5, SANDBOX_GROUND_Y - 200, 70);
+  }
+
+  renderer.setWorldBounds(mesh.bounds.width, mesh.bounds.height);
+  focusCamera();
+  beginSession();
+}
+
+// Cycle through the built-in levels, then back to the sandbox
+function startNextLevel() {
+  const next = currentLevelIndex + 1;
+  if (next < LEVELS.length) {
+    startLevel(new Level(LEVELS[next]), next);
+  } else {
+    startLevel(null, -1);
+  }
+}
+
+function restartLevel() {
+  if (currentLevel) {
+    startLevel(currentLevel, currentLevelIndex);
+  } else {
+    startLevel(null, -1);
+  }
+}
+
+function handleReplayKey(e, key) {
+  if (key === ' ') {
+    e.preventDefault();
+    replayPlayer.toggle();
+  } else if (key === 'escape' || key === 'v') {
+    exitReplay();
+  }
+}
+
+window.addEventListener('keyup', (e) => heldKeys.delete(e.key));
+window.addEventListener('blur', () => heldKeys.clear());
+
+window.addEventListener('keydown', (e) => {
+  // Leave typing in the settings panel alone
+  const tag = e.target && e.target.tagName;
+  if (tag === 'INPUT' || tag === 'SELECT' || tag === 'TEXTAREA') return;
+
+  if (!(e.ctrlKey || e.metaKey)) {
+    if (e.key.startsWith('Arrow')) {
+      e.preventDefault();
+      heldKeys.add(e.key);
+      return;
+    }
+
+    // View keys work while building and while watching a replay
+    const key = e.key.toLowerCase();
+    if (key === 'f') renderer.setFollowMode(!renderer.followMode);
+    else if (key === 't' && e.shiftKey) renderer.setAngleErrorOverlay(!renderer.showAngleErrors);
+    else if (key === 't') renderer.setStressOverlay(!renderer.showStress);
+    else if (key === 'g' && e.shiftKey) renderer.setSleepingOverlay(!renderer.showSleeping);
+    else if (key === 'g') toggleDiagnostics();
+    else if (key === 's') settingsPanel.toggle();
+    else if (key === 'e') exportDiagnostics(e.shiftKey ? 'csv' : 'json');
+    else if (key === 'v' && e.shiftKey) exportReplay();
+    else if (replayPlayer) handleReplayKey(e, key);
+    else if (key === 'v') startReplay(recorder.toReplay(), true);
+    else if (key === '[') stepper.input({ type: 'maxLinks', count: mesh.connectionStrategy.maxLinks - 1 });
+    else if (key === ']') stepper.input({ type: 'maxLinks', count: mesh.connectionStrategy.maxLinks + 1 });
+    else if (key === 'o') stepper.input({ type: 'blob', x: mouse.x, y: mouse.y });
+    else if (key === 'w' && e.shiftKey) stepper.input({ type: 'clearFields' });
+    else if (key === 'w') setFieldTool(FIELD_TOOLS[(FIELD_TOOLS.indexOf(fieldTool) + 1) % FIELD_TOOLS.length]);
+    else if (key === 'n') startNextLevel();
+    else if (key === 'r') restartLevel();
+    else if (key === 'escape') linkStart = null;
+    else if (key >= '1' && key <= '9') {
+      const type = gooTypes.list()[Number(key) - 1];
+      if (type) selectGooType(type.id);
+    } else {
+      const tool = TOOLS.find(t => t.key === key);
+      if (tool) setTool(tool.id);
+    }
+    return;
+  }
+
+  // Undo, redo and file operations wait until the replay is closed
+  if (replayPlayer) return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'z') {
+    e.preventDefault();
+    stepper.input({ type: e.shiftKey ? 'redo' : 'undo' });
+  } else if (key === 'y') {
+    e.preventDefault();
+    stepper.input({ type: 'redo' });
+  } else if (key === 's') {
+    e.preventDefault();
+    exportStructure();
+  } else if (key === 'o') {
+    e.preventDefault();
+    importStructure();
+  }
+});
+
 // ==================== WINDOW RESIZE ====================
 window.addEventListener('resize', () => {
   const newWidth = window.innerWidth;
   const newHeight = window.innerHeight;
 
   renderer.resize(newWidth, newHeight);
-  mesh.setBounds(newWidth, newHeight);
-  mesh.setGroundY(newHeight - 90);
+  applyWorldBounds();
 });
\ No newline at end of file
@@ -0,0 +1,94 @@
+// ==================== COMMAND HISTORY ====================
+// Undo/redo stack of reversible mesh edits
+// Commands hold the exact node, link and constraint objects they touched
+
+class CommandHistory {
+  constructor(config = {}) {
+    this.depth = config.depth || 100;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  // Record a command that has already been applied to the mesh
+  push(command) {
+    this.undoStack.push(command);
+    this.redoStack = [];
+    this._trim();
+  }
+
+  undo() {
+    const command = this.undoStack.pop();
+    if (!command) return false;
+
+    command.undo();
+    this.redoStack.push(command);
+    return true;
+  }
+
+  redo() {
+    const command = this.redoStack.pop();
+    if (!command) return false;
+
+    command.redo();
+    this.undoStack.push(command);
+    return true;
+  }
+
+  canUndo() { return this.undoStack.length > 0; }
+  canRedo() { return this.redoStack.length > 0; }
+
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  setDepth(depth) {
+    this.depth = depth;
+    this._trim();
+  }
+
+  _trim() {
+    while (this.undoStack.length > this.depth) {
+      this.undoStack.shift();
+    }
+  }
+}
+
+// ==================== COMMANDS ====================
+
+// Elements were added to the mesh (e.g. a new node with its links)
+class AddElementsCommand {
+  constructor(mesh, elements) {
+    this.mesh = mesh;
+    this.elements = elements;
+  }
+
+  undo() { this.mesh.removeElements(this.elements); }
+  redo() { this.mesh.restoreElements(this.elements); }
+}
+
+// Elements were removed from the mesh, including cascaded orphans
+class RemoveElementsCommand {
+  constructor(mesh, elements) {
+    this.mesh = mesh;
+    this.elements = elements;
+  }
+
+  undo() { this.mesh.restoreElements(this.elements); }
+  redo() { this.mesh.removeElements(this.elements); }
+}
+
+// A node's pinned state was flipped
+class TogglePinCommand {
+  constructor(node) {
+    this.node = node;
+  }
+
+  undo() { this.node.pinned = !this.node.pinned; }
+  redo() { this.node.pinned = !this.node.pinned; }
+}
+
+// Export for use in other modules or browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { CommandHistory, AddElementsCommand, RemoveElementsCommand, TogglePinCommand };
+}
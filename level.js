@@ -0,0 +1,192 @@
+// ==================== LEVELS ====================
+// JSON level definitions: world size, static terrain, a starting
+// structure, a goal region, optional force fields (see Mesh.createForceField)
+// and optional challenge rules (see rules.js)
+//
+// {
+//   "version": 1,
+//   "name": "The Ledge",
+//   "world": { "width": 1200, "height": 720, "groundY": 630 },
+//   "terrain": [
+//     { "type": "polygon", "points": [[800, 630], [1200, 630], [1200, 380], [800, 380]] },
+//     { "type": "segment", "from": [300, 630], "to": [500, 560] },
+//     { "type": "circle", "center": [650, 600], "radius": 40 }
+//   ],
+//   "structure": { "type": "triangle", "x": 300, "y": 540, "size": 70 },
+//   "goal": { "x": 960, "y": 250, "width": 140, "height": 110 },
+//   "fields": [{ "type": "wind", "direction": 3.14, "strength": 120, "gust": 0.5 }],
+//   "rules": [{ "type": "stable", "seconds": 2 }, { "type": "maxNodes", "count": 16 }]
+// }
+//
+// The goal region is itself a rule: a level with a goal and no "region"
+// rule has one added for it
+//
+// "structure" may instead list nodes by position and connect them by index:
+//   { "nodes": [[x, y], ...], "links": [[0, 1], ...], "angles": [[0, 1, 2], ...], "pinned": [0] }
+
+// Force field types Mesh.createForceField builds
+const FIELD_TYPES = ['wind', 'radial', 'gravity'];
+
+// rules.js is a script of its own in browsers and a module in Node
+function levelRules() {
+  return typeof module !== 'undefined' && module.exports ? require('./rules.js') : { RulesEngine };
+}
+
+function isPoint(point) {
+  return Array.isArray(point) && point.length === 2 && point.every(Number.isFinite);
+}
+
+class Level {
+  constructor(definition) {
+    Level.validate(definition);
+
+    this.definition = definition;
+    this.name = definition.name || 'Untitled level';
+    this.world = { ...definition.world };
+    this.goal = definition.goal ? { ...definition.goal } : null;
+
+    this.rules = (definition.rules || []).map(rule => ({ ...rule }));
+    if (this.goal && !this.rules.some(rule => rule.type === 'region')) {
+      this.rules.unshift({ type: 'region', ...this.goal });
+    }
+  }
+
+  // Throws with a readable message when the definition is malformed
+  static validate(definition) {
+    if (!Level.isLevel(definition)) {
+      throw new Error('Level definition needs a "terrain" array');
+    }
+    if (definition.version !== Level.SCHEMA_VERSION) {
+      throw new Error(`Unsupported level schema version: ${definition.version}`);
+    }
+
+    const world = definition.world;
+    if (!world || !(world.width > 0) || !(world.height > 0) || typeof world.groundY !== 'number') {
+      throw new Error('Level "world" needs width, height and groundY');
+    }
+
+    definition.terrain.forEach(Level._validateCollider);
+
+    if (definition.fields !== undefined && !Array.isArray(definition.fields)) {
+      throw new Error('Level "fields" must be an array');
+    }
+    for (const field of definition.fields || []) {
+      if (!field || !FIELD_TYPES.includes(field.type)) {
+        throw new Error(`Unknown force field type in level: ${field && field.type}`);
+      }
+    }
+
+    Level._validateStructure(definition.structure || {});
+
+    const rules = definition.rules;
+    if (rules !== undefined && !Array.isArray(rules)) {
+      throw new Error('Level "rules" must be an array');
+    }
+    // Caught here, not when the level starts and its rules are built
+    for (const rule of rules || []) {
+      levelRules().RulesEngine.validate(rule);
+    }
+
+    const goal = definition.goal;
+    if (goal && !(Number.isFinite(goal.x) && Number.isFinite(goal.y) && goal.width > 0 && goal.height > 0)) {
+      throw new Error('Level "goal" needs x, y and a positive width and height');
+    }
+  }
+
+  static isLevel(data) {
+    return !!data && Array.isArray(data.terrain);
+  }
+
+  // Checked up front so apply() never leaves a half-built mesh behind
+  static _validateCollider(collider) {
+    const valid = !!collider && (
+      collider.type === 'polygon' ? Array.isArray(collider.points) && collider.points.length >= 3 &&
+        collider.points.every(isPoint) :
+      collider.type === 'segment' ? isPoint(collider.from) && isPoint(collider.to) :
+      collider.type === 'circle' ? isPoint(collider.center) && collider.radius > 0 :
+      false
+    );
+    if (!valid) {
+      throw new Error(`Invalid terrain entry in level: ${JSON.stringify(collider)}`);
+    }
+  }
+
+  static _validateStructure(structure) {
+    if (!structure.nodes) {
+      for (const key of ['x', 'y', 'size']) {
+        if (structure[key] !== undefined && !Number.isFinite(structure[key])) {
+          throw new Error(`Level structure "${key}" must be a number`);
+        }
+      }
+      return;
+    }
+
+    if (!Array.isArray(structure.nodes) || !structure.nodes.every(isPoint)) {
+      throw new Error('Level structure "nodes" must be an array of [x, y] positions');
+    }
+    const isIndex = (index) => Number.isInteger(index) && index >= 0 && index < structure.nodes.length;
+    for (const [key, size] of [['links', 2], ['angles', 3]]) {
+      const entries = structure[key] || [];
+      if (!Array.isArray(entries) || !entries.every(entry =>
+        Array.isArray(entry) && entry.length === size && entry.every(isIndex))) {
+        throw new Error(`Invalid node reference in level structure "${key}"`);
+      }
+    }
+    const pinned = structure.pinned || [];
+    if (!Array.isArray(pinned) || !pinned.every(isIndex)) {
+      throw new Error('Invalid node reference in level structure "pinned"');
+    }
+  }
+
+  // Replace the mesh contents with this level's world, terrain and structure
+  apply(mesh) {
+    mesh.clear();
+    mesh.setBounds(this.world.width, this.world.height);
+    mesh.setGroundY(this.world.groundY);
+
+    for (const collider of this.definition.terrain) {
+      mesh.createCollider(collider);
+    }
+
+    for (const field of this.definition.fields || []) {
+      mesh.createForceField(field);
+    }
+
+    this._buildStructure(mesh, this.definition.structure || {});
+  }
+
+  _buildStructure(mesh, structure) {
+    if (!structure.nodes) {
+      mesh.createTriangle(
+        structure.x ?? this.world.width * 0.25,
+        structure.y ?? this.world.groundY - 110,
+        structure.size || 70
+      );
+      return;
+    }
+
+    const pinned = new Set(structure.pinned || []);
+    const nodes = structure.nodes.map(([x, y], i) =>
+      mesh.createNode(x, y, { pinned: pinned.has(i) })
+    );
+
+    const nodeAt = (index) => {
+      if (!nodes[index]) throw new Error(`Invalid node reference in level structure: ${index}`);
+      return nodes[index];
+    };
+
+    for (const [a, b] of structure.links || []) {
+      mesh.createLink(nodeAt(a), nodeAt(b), { restMultiplier: 1.0 });
+    }
+    for (const [a, b, c] of structure.angles || []) {
+      mesh.createAngleConstraint(nodeAt(a), nodeAt(b), nodeAt(c), 0.3);
+    }
+  }
+}
+
+Level.SCHEMA_VERSION = 1;
+
+// Export for use in other modules or browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Level };
+}
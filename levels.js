@@ -0,0 +1,67 @@
+// ==================== BUILT-IN LEVELS ====================
+// Level definitions in the JSON format documented in level.js
+
+const LEVELS = [
+  {
+    version: 1,
+    name: 'First Steps',
+    world: { width: 1200, height: 720, groundY: 630 },
+    terrain: [],
+    structure: { type: 'triangle', x: 300, y: 540, size: 70 },
+    goal: { x: 240, y: 200, width: 160, height: 80 }
+  },
+  {
+    version: 1,
+    name: 'The Ledge',
+    world: { width: 1200, height: 720, groundY: 630 },
+    terrain: [
+      { type: 'polygon', points: [[820, 630], [1200, 630], [1200, 400], [820, 400]] }
+    ],
+    structure: { type: 'triangle', x: 360, y: 540, size: 70 },
+    goal: { x: 960, y: 280, width: 140, height: 110 }
+  },
+  {
+    version: 1,
+    name: 'Over the Hill',
+    world: { width: 1200, height: 720, groundY: 630 },
+    terrain: [
+      { type: 'polygon', points: [[460, 630], [620, 470], [780, 630]] },
+      { type: 'segment', from: [880, 630], to: [1040, 560] },
+      { type: 'circle', center: [1120, 560], radius: 50 }
+    ],
+    structure: { type: 'triangle', x: 220, y: 540, size: 70 },
+    goal: { x: 1060, y: 380, width: 120, height: 100 }
+  },
+  {
+    version: 1,
+    name: 'Tall Order',
+    world: { width: 1200, height: 720, groundY: 630 },
+    terrain: [],
+    structure: { type: 'triangle', x: 600, y: 540, size: 70 },
+    rules: [
+      { type: 'height', height: 320 },
+      { type: 'stable', seconds: 2 },
+      { type: 'maxNodes', count: 14 }
+    ]
+  },
+  {
+    version: 1,
+    name: 'Mind the Gap',
+    world: { width: 1200, height: 720, groundY: 630 },
+    terrain: [
+      { type: 'polygon', points: [[0, 630], [440, 630], [440, 450], [0, 450]] },
+      { type: 'polygon', points: [[760, 630], [1200, 630], [1200, 450], [760, 450]] }
+    ],
+    structure: { type: 'triangle', x: 250, y: 360, size: 70 },
+    rules: [
+      { type: 'span', left: 440, right: 760 },
+      { type: 'stable', seconds: 2 },
+      { type: 'hazard', y: 600 }
+    ]
+  }
+];
+
+// Export for use in other modules or browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { LEVELS };
+}
@@ -13,12 +13,28 @@ class MeshRenderer {
     this.colors = {
       background: config.colors?.background || 0x0f1020,
       ground: config.colors?.ground || 0xffffff,
+      terrain: config.colors?.terrain || 0x3a3f7a,
+      goal: config.colors?.goal || 0x6cff9a,
+      hazard: config.colors?.hazard || 0xff4f6a,
       links: config.colors?.links || 0x6aa8ff,
       nodes: config.colors?.nodes || 0xdde7ff,
+      pinned: config.colors?.pinned || 0xffc857,
+      drag: config.colors?.drag || 0xffffff,
       cursor: config.colors?.cursor || 0xffffff,
       validConnection: config.colors?.validConnection || 0x9bd1ff,
       invalidConnection: config.colors?.invalidConnection || 0xff6666,
       deleteHighlight: config.colors?.deleteHighlight || 0xff4444,
+      paletteActive: config.colors?.paletteActive || 0xffffff,
+      compression: config.colors?.compression || 0x4f7dff,
+      tension: config.colors?.tension || 0xff4f4f,
+      angleError: config.colors?.angleError || 0xff9f1c,
+      blob: config.colors?.blob || 0x7fe0b4,
+      sleeping: config.colors?.sleeping || 0x8a7fff,
+      wind: config.colors?.wind || 0x9fd8ff,
+      attractor: config.colors?.attractor || 0x7dffb2,
+      repulsor: config.colors?.repulsor || 0xff8a7d,
+      gravityZone: config.colors?.gravityZone || 0xc8a2ff,
+      explosion: config.colors?.explosion || 0xffc04d,
       hudBackground: config.colors?.hudBackground || 0x12142d,
       hudText: config.colors?.hudText || 0xbfc8ff
     };
@@ -28,18 +44,84 @@ class MeshRenderer {
     this.linkAlpha = config.linkAlpha || 0.26;
     this.previewLinkWidth = config.previewLinkWidth || 4;
     this.previewLinkAlpha = config.previewLinkAlpha || 0.55;
+    this.blobAlpha = config.blobAlpha || 0.45;
+
+    // Stress overlay: links saturate at their break strain, or stressRange
+    // for unbreakable links; angle errors saturate at angleErrorRange
+    this.showStress = config.showStress || false;
+    this.showAngleErrors = config.showAngleErrors || false;
+    this.stressRange = config.stressRange || 0.2;
+    this.angleErrorRange = config.angleErrorRange || 0.15;
+    this.maxStrain = 0;
+
+    // Debug tint for islands the mesh has put to sleep
+    this.showSleeping = config.showSleeping || false;
+
+    // Force field areas of effect, with arrows every fieldArrowSpacing px
+    this.showForceFields = config.showForceFields ?? true;
+    this.fieldArrowSpacing = config.fieldArrowSpacing || 120;
+
+    // Diagnostics panel (screen space, top-right): [{ label, values }]
+    this.showDiagnostics = false;
+    this.diagnosticsRows = [];
+    this.diagnosticsLabels = [];
+    this.diagnosticsWidth = 240;
+    this.diagnosticsRowHeight = 36;
+
+    // Per-type node styles: { [typeId]: { color, shape } }
+    this.nodeStyles = config.nodeStyles || {};
+
+    // Extra layers drawn by plugins (see addRenderLayer)
+    this.pluginLayers = [];
+
+    // Active tool ('build', 'delete', 'pin', 'link', 'cut' or 'field' for
+    // force fields) and its toolbar (screen space, bottom-left)
+    this.tool = 'build';
+    this.toolbar = [];
+    this.toolbarLabels = [];
+    this.toolbarItemSize = { width: 64, height: 28 };
+    this.linkPreview = null;
+    this.cutLine = null;
+
+    // Goo type palette (screen space, top-left)
+    this.palette = [];
+    this.activePaletteId = null;
+    this.paletteLabels = [];
+    this.paletteItemSize = 44;
+
+    // Camera: world position at the canvas's top-left corner, and zoom
+    this.camera = { x: 0, y: 0, zoom: 1 };
+    this.minZoom = config.minZoom || 0.25;
+    this.maxZoom = config.maxZoom || 3;
+    this.worldBounds = null;
+    this.followMode = false;
+    this.followSmoothing = config.followSmoothing || 0.08;
 
     // PIXI setup
     this.app = null;
+    this.world = null;
     this.layers = {};
     this.hudText = null;
+    this.stressText = null;
+    this.bannerText = null;
+    this.ruleText = null;
 
     // State for interactive feedback
     this.cursor = { x: 0, y: 0 };
+    this.alpha = 1;
     this.isDeleteMode = false;
     this.hoveredNode = null;
+    this.dragConstraints = [];
+    this.deleteConfirmations = [];
+    this.showCursor = true;
+    this.hudMessage = "Click to add nodes. Click a node to delete it, drag to move it, Shift+click to pin it.";
     this.showConnectionPreview = true;
     this.showHUD = true;
+    this.goal = null;
+    this.goalReached = false;
+    this.banner = '';
+    this.rules = [];
+    this.ruleProgress = [];
   }
 
   // ==================== INITIALIZATION ====================
@@ -56,17 +138,24 @@ class MeshRenderer {
 
     // Create rendering layers
     this.layers.ground = new PIXI.Graphics();
+    this.layers.terrain = new PIXI.Graphics();
     this.layers.links = new PIXI.Graphics();
     this.layers.ghost = new PIXI.Graphics();
     this.layers.nodes = new PIXI.Graphics();
+    this.layers.ui = new PIXI.Graphics();
 
-    this.app.stage.addChild(
+    // World layers move with the camera; the UI layer stays in screen space
+    this.world = new PIXI.Container();
+    this.world.addChild(
       this.layers.ground,
+      this.layers.terrain,
       this.layers.links,
       this.layers.ghost,
       this.layers.nodes
     );
 
+    this.app.stage.addChild(this.world, this.layers.ui);
+
     // Setup HUD text
     if (this.showHUD) {
       const hudStyle = new PIXI.TextStyle({
@@ -76,91 +165,525 @@ class MeshRenderer {
       this.hudText = new PIXI.Text("", hudStyle);
       this.hudText.alpha = 0.9;
       this.app.stage.addChild(this.hudText);
+
+      this.stressText = new PIXI.Text("", hudStyle);
+      this.stressText.alpha = 0.9;
+      this.stressText.anchor.set(1, 0);
+      this.app.stage.addChild(this.stressText);
     }
 
+    // Centered banner for level messages
+    this.bannerText = new PIXI.Text("", new PIXI.TextStyle({
+      fill: this.colors.goal,
+      fontSize: 28,
+      fontWeight: 'bold'
+    }));
+    this.bannerText.anchor.set(0.5);
+    this.app.stage.addChild(this.bannerText);
+
+    // Level rule checklist under the banner
+    this.ruleText = new PIXI.Text("", new PIXI.TextStyle({
+      fill: this.colors.hudText,
+      fontSize: 14,
+      align: 'center'
+    }));
+    this.ruleText.anchor.set(0.5, 0);
+    this.app.stage.addChild(this.ruleText);
+
+    // Layers registered before the app existed
+    this.pluginLayers.forEach(layer => this._attachPluginLayer(layer));
+
     return this.app;
   }
 
   // ==================== RENDERING METHODS ====================
 
-  render(mesh, groundY) {
+  // alpha blends each node from its pre-step to its current position
+  render(mesh, groundY, alpha = 1) {
+    this.alpha = alpha;
+    this._updateCamera(mesh);
     this._clearLayers();
-    this._renderGround(groundY);
-    this._renderLinks(mesh.getLinks());
+    this._renderGround(groundY, mesh.bounds.width);
+    this._renderColliders(mesh.getColliders());
+    this._renderGoal();
+    this._renderRules(groundY, mesh.bounds.width);
+    this._renderForceFields(mesh.getForceFields(), mesh.bounds);
+    const outline = this._renderBlobs(mesh.getPressureConstraints());
+    this._renderLinks(mesh.getLinks(), outline.edges);
     this._renderGhostElements(mesh);
-    this._renderNodes(mesh.getNodes());
+    this._renderNodes(mesh.getNodes(), outline.nodes);
+    this._renderAngleErrors(mesh.angleConstraints);
+    this._renderPluginLayers(mesh);
     this._renderCursor();
     this._renderHUD();
+    this._renderPalette();
+    this._renderToolbar();
+    this._renderDiagnostics();
+    this._renderBanner();
   }
 
   _clearLayers() {
     Object.values(this.layers).forEach(layer => layer.clear());
   }
 
-  _renderGround(groundY) {
+  _renderGround(groundY, worldWidth) {
     this.layers.ground.beginFill(this.colors.ground, 1);
-    this.layers.ground.drawRect(0, groundY, this.app.renderer.width, this.groundHeight);
+    this.layers.ground.drawRect(0, groundY, worldWidth, this.groundHeight);
     this.layers.ground.endFill();
   }
 
-  _renderLinks(links) {
-    this.layers.links.lineStyle(this.linkWidth, this.colors.links, this.linkAlpha);
+  _renderColliders(colliders) {
+    const g = this.layers.terrain;
+    for (const collider of colliders) {
+      if (collider.type === 'polygon') {
+        g.lineStyle(0);
+        g.beginFill(this.colors.terrain, 1);
+        g.drawPolygon(collider.points.flatMap(p => [p.x, p.y]));
+        g.endFill();
+      } else if (collider.type === 'segment') {
+        g.lineStyle(4, this.colors.terrain, 1);
+        g.moveTo(collider.x1, collider.y1);
+        g.lineTo(collider.x2, collider.y2);
+      } else if (collider.type === 'circle') {
+        g.lineStyle(0);
+        g.beginFill(this.colors.terrain, 1);
+        g.drawCircle(collider.x, collider.y, collider.radius);
+        g.endFill();
+      }
+    }
+  }
+
+  _renderGoal() {
+    if (!this.goal) return;
+
+    const g = this.layers.terrain;
+    g.lineStyle(2, this.colors.goal, 0.9);
+    g.beginFill(this.colors.goal, this.goalReached ? 0.35 : 0.12);
+    g.drawRect(this.goal.x, this.goal.y, this.goal.width, this.goal.height);
+    g.endFill();
+  }
+
+  // Markers for level rules; region goals are drawn by _renderGoal
+  _renderRules(groundY, worldWidth) {
+    const g = this.layers.terrain;
+    for (const rule of this.rules) {
+      if (rule.type === 'height') {
+        g.lineStyle(2, this.colors.goal, 0.6);
+        g.moveTo(0, groundY - rule.height);
+        g.lineTo(worldWidth, groundY - rule.height);
+      } else if (rule.type === 'point') {
+        g.lineStyle(2, this.colors.goal, 0.9);
+        g.beginFill(this.colors.goal, 0.2);
+        g.drawCircle(rule.x, rule.y, Math.max(rule.radius || 0, 6));
+        g.endFill();
+      } else if (rule.type === 'span') {
+        g.lineStyle(2, this.colors.goal, 0.45);
+        for (const x of [rule.left, rule.right]) {
+          g.moveTo(x, 0);
+          g.lineTo(x, groundY);
+        }
+      } else if (rule.type === 'hazard') {
+        g.lineStyle(2, this.colors.hazard, 0.9);
+        g.beginFill(this.colors.hazard, 0.15);
+        g.drawRect(0, rule.y, worldWidth, Math.max(0, groundY - rule.y));
+        g.endFill();
+      }
+    }
+  }
+
+  // Unbounded fields are drawn across the world bounds
+  _renderForceFields(fields, bounds) {
+    if (!this.showForceFields) return;
+
+    const g = this.layers.terrain;
+    for (const field of fields) {
+      if (field.type === 'wind' || field.type === 'gravity') {
+        const left = isFinite(field.width) ? field.x - field.width / 2 : 0;
+        const top = isFinite(field.height) ? field.y - field.height / 2 : 0;
+        const right = isFinite(field.width) ? field.x + field.width / 2 : bounds.width;
+        const bottom = isFinite(field.height) ? field.y + field.height / 2 : bounds.height;
+
+        let color, angle, length;
+        if (field.type === 'wind') {
+          color = this.colors.wind;
+          angle = field.direction;
+          length = Math.min(1, Math.abs(field.strength * field.getGustFactor()) / 400) * 40 + 10;
+        } else {
+          color = this.colors.gravityZone;
+          angle = Math.atan2(field.gravity.y, field.gravity.x);
+          length = Math.min(1, Math.hypot(field.gravity.x, field.gravity.y) / 400) * 40 + 10;
+        }
+
+        if (isFinite(field.width) || isFinite(field.height)) {
+          g.lineStyle(2, color, 0.6);
+          g.beginFill(color, 0.06);
+          g.drawRect(left, top, right - left, bottom - top);
+          g.endFill();
+        }
+
+        const spacing = this.fieldArrowSpacing;
+        for (let x = left + spacing / 2; x < right; x += spacing) {
+          for (let y = top + spacing / 2; y < bottom; y += spacing) {
+            this._drawArrow(g, x, y, angle, length, color, 0.35);
+          }
+        }
+      } else if (field.type === 'radial') {
+        const color = field.strength >= 0 ? this.colors.attractor : this.colors.repulsor;
+        g.lineStyle(2, color, 0.6);
+        g.beginFill(color, 0.06);
+        g.drawCircle(field.x, field.y, field.radius);
+        g.endFill();
+
+        // Arrows point inward for attractors and outward for repulsors
+        for (let i = 0; i < 8; i++) {
+          const angle = i * Math.PI / 4;
+          const x = field.x + Math.cos(angle) * field.radius * 0.6;
+          const y = field.y + Math.sin(angle) * field.radius * 0.6;
+          this._drawArrow(g, x, y, field.strength >= 0 ? angle + Math.PI : angle, 24, color, 0.45);
+        }
+        g.lineStyle(0);
+        g.beginFill(color, 0.8);
+        g.drawCircle(field.x, field.y, 5);
+        g.endFill();
+      } else if (field.type === 'explosion') {
+        // A ring expanding to the blast radius as it fades
+        const t = Math.min(1, field.age / field.duration);
+        g.lineStyle(4, this.colors.explosion, 1 - t);
+        g.beginFill(this.colors.explosion, 0.25 * (1 - t));
+        g.drawCircle(field.x, field.y, field.radius * (0.3 + 0.7 * t));
+        g.endFill();
+      }
+    }
+  }
+
+  _drawArrow(g, x, y, angle, length, color, alpha) {
+    const dx = Math.cos(angle), dy = Math.sin(angle);
+    const tipX = x + dx * length / 2, tipY = y + dy * length / 2;
+
+    g.lineStyle(2, color, alpha);
+    g.moveTo(x - dx * length / 2, y - dy * length / 2);
+    g.lineTo(tipX, tipY);
+    g.moveTo(tipX - (dx * 8 - dy * 5), tipY - (dy * 8 + dx * 5));
+    g.lineTo(tipX, tipY);
+    g.lineTo(tipX - (dx * 8 + dy * 5), tipY - (dy * 8 - dx * 5));
+  }
+
+  // Pressure loops as filled outlines curving through their edge midpoints;
+  // returns the nodes and edges (node -> neighbours) the outlines replace
+  _renderBlobs(constraints) {
+    const nodes = new Set();
+    const edges = new Map();
+    const g = this.layers.links;
+
+    for (const constraint of constraints) {
+      const points = constraint.nodes.map(node => ({ x: this._nodeX(node), y: this._nodeY(node) }));
+      const count = points.length;
+      const mid = (i) => {
+        const a = points[i % count], b = points[(i + 1) % count];
+        return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+      };
+
+      const color = this._sleepTint(constraint.nodes[0], this.colors.blob);
+      g.lineStyle(3, color, 0.9);
+      g.beginFill(color, this.blobAlpha);
+      const start = mid(count - 1);
+      g.moveTo(start.x, start.y);
+      for (let i = 0; i < count; i++) {
+        const end = mid(i);
+        g.quadraticCurveTo(points[i].x, points[i].y, end.x, end.y);
+      }
+      g.endFill();
+
+      constraint.nodes.forEach((node, i) => {
+        nodes.add(node);
+        if (!edges.has(node)) edges.set(node, new Set());
+        edges.get(node).add(constraint.nodes[(i + 1) % count]);
+        edges.get(node).add(constraint.nodes[(i + count - 1) % count]);
+      });
+    }
+    g.lineStyle(0);
+    return { nodes, edges };
+  }
+
+  // Links along a blob outline are only drawn under the stress overlay
+  _renderLinks(links, outlineEdges = new Map()) {
+    const g = this.layers.links;
+    this.maxStrain = 0;
+
+    g.lineStyle(this.linkWidth, this.colors.links, this.linkAlpha);
     for (const link of links) {
-      this.layers.links.moveTo(link.a.x, link.a.y);
-      this.layers.links.lineTo(link.b.x, link.b.y);
+      const ax = this._nodeX(link.a), ay = this._nodeY(link.a);
+      const bx = this._nodeX(link.b), by = this._nodeY(link.b);
+      const strain = this._linkStrain(link, ax, ay, bx, by);
+      if (Math.abs(strain) > Math.abs(this.maxStrain)) this.maxStrain = strain;
+
+      const outlined = outlineEdges.has(link.a) && outlineEdges.get(link.a).has(link.b);
+      if (outlined && !this.showStress) continue;
+
+      if (this.showSleeping && !this.showStress) {
+        g.lineStyle(this.linkWidth, this._sleepTint(link.a, this.colors.links), this.linkAlpha);
+      }
+
+      if (this.showStress) {
+        // 0 = unloaded, 1 = at the link's break strain
+        const range = Number.isFinite(link.breakStrain) ? link.breakStrain : this.stressRange;
+        const load = Math.min(1, Math.abs(strain) / range);
+        const color = this._lerpColor(this.colors.links,
+          strain < 0 ? this.colors.compression : this.colors.tension, load);
+        g.lineStyle(this.linkWidth * (0.6 + load * 1.4), color,
+          this.linkAlpha + (0.9 - this.linkAlpha) * load);
+      }
+
+      g.moveTo(ax, ay);
+      g.lineTo(bx, by);
+    }
+  }
+
+  // Strain of a link at its drawn length; slack links carry no compression
+  _linkStrain(link, ax, ay, bx, by) {
+    const strain = (Math.hypot(bx - ax, by - ay) - link.rest) / (link.rest || 1e-6);
+    return link.slack && strain < 0 ? 0 : strain;
+  }
+
+  // Rings around each constraint's center node, sized by its worst error
+  _renderAngleErrors(constraints) {
+    if (!this.showAngleErrors) return;
+
+    const errors = new Map();
+    for (const constraint of constraints) {
+      const error = Math.abs(constraint.getError());
+      if (error > (errors.get(constraint.b) || 0)) errors.set(constraint.b, error);
+    }
+
+    const g = this.layers.ghost;
+    for (const [node, error] of errors) {
+      const level = Math.min(1, error / this.angleErrorRange);
+      g.lineStyle(2, this.colors.angleError, 0.25 + level * 0.75);
+      g.drawCircle(this._nodeX(node), this._nodeY(node), node.r + 4 + level * 10);
     }
+    g.lineStyle(0);
+  }
+
+  _sleepTint(node, color) {
+    return this.showSleeping && node.sleeping ? this._lerpColor(color, this.colors.sleeping, 0.7) : color;
+  }
+
+  _lerpColor(from, to, t) {
+    const channel = (shift) => {
+      const a = (from >> shift) & 0xff, b = (to >> shift) & 0xff;
+      return Math.round(a + (b - a) * t) << shift;
+    };
+    return channel(16) | channel(8) | channel(0);
   }
 
   _renderGhostElements(mesh) {
-    if (this.isDeleteMode && this.hoveredNode) {
+    this._renderDeleteConfirmations();
+    this._renderToolGhosts();
+    if (this.dragConstraints.length > 0) {
+      this.dragConstraints.forEach(constraint => this._renderDrag(constraint));
+    } else if (this.isDeleteMode && this.hoveredNode) {
       this._renderDeleteHighlight();
-    } else if (this.showConnectionPreview) {
+    } else if (this.tool === 'build' && this.showConnectionPreview && this.showCursor) {
       this._renderConnectionPreview(mesh);
     }
   }
 
+  // The manual link being made and the cut being drawn
+  _renderToolGhosts() {
+    const g = this.layers.ghost;
+
+    if (this.linkPreview) {
+      const { from, to, valid } = this.linkPreview;
+      const color = valid ? this.colors.validConnection : this.colors.invalidConnection;
+      const x = this._nodeX(from), y = this._nodeY(from);
+
+      g.lineStyle(2, this.colors.validConnection, 0.9);
+      g.drawCircle(x, y, from.r + 4);
+      if (to) {
+        g.lineStyle(this.previewLinkWidth, color, this.previewLinkAlpha);
+        g.moveTo(x, y);
+        g.lineTo(this._nodeX(to), this._nodeY(to));
+      } else if (this.showCursor) {
+        g.lineStyle(1, this.colors.validConnection, 0.5);
+        g.moveTo(x, y);
+        g.lineTo(this.cursor.x, this.cursor.y);
+      }
+    }
+
+    if (this.cutLine) {
+      const { x1, y1, x2, y2 } = this.cutLine;
+      g.lineStyle(2, this.colors.tension, 0.9);
+      g.moveTo(x1, y1);
+      g.lineTo(x2, y2);
+    }
+  }
+
+  _renderDrag(constraint) {
+    const { node, x, y } = constraint;
+    this.layers.ghost.lineStyle(2, this.colors.drag, 0.6);
+    this.layers.ghost.moveTo(this._nodeX(node), this._nodeY(node));
+    this.layers.ghost.lineTo(x, y);
+    this.layers.ghost.lineStyle(0);
+    this.layers.ghost.beginFill(this.colors.drag, 0.6);
+    this.layers.ghost.drawCircle(x, y, 3);
+    this.layers.ghost.endFill();
+  }
+
+  // Rings that fill clockwise as a long press counts down to a delete
+  _renderDeleteConfirmations() {
+    const g = this.layers.ghost;
+    for (const { x, y, radius, progress } of this.deleteConfirmations) {
+      const r = radius + 8;
+      g.lineStyle(4, this.colors.deleteHighlight, 0.25);
+      g.drawCircle(x, y, r);
+
+      g.lineStyle(4, this.colors.deleteHighlight, 1.0);
+      g.moveTo(x, y - r);
+      g.arc(x, y, r, -Math.PI / 2, -Math.PI / 2 + progress * Math.PI * 2);
+    }
+  }
+
   _renderDeleteHighlight() {
     this.layers.ghost.lineStyle(3, this.colors.deleteHighlight, 1.0);
     this.layers.ghost.beginFill(this.colors.deleteHighlight, 0.3);
     this.layers.ghost.drawCircle(
-      this.hoveredNode.x,
-      this.hoveredNode.y,
+      this._nodeX(this.hoveredNode),
+      this._nodeY(this.hoveredNode),
       this.hoveredNode.r + 3
     );
     this.layers.ghost.endFill();
   }
 
+  // Exactly the links the mesh's connection strategy would create; skipped
+  // candidates are drawn faintly, and the reach circle shows placement range
   _renderConnectionPreview(mesh) {
-    const nearest = mesh.getNearestNodes(this.cursor.x, this.cursor.y, 2);
-    if (nearest.length === 2) {
-      const canConnect1 = !mesh.wouldLinkCross(this.cursor, nearest[0]);
-      const canConnect2 = !mesh.wouldLinkCross(this.cursor, nearest[1]);
+    const plan = mesh.planConnections(this.cursor.x, this.cursor.y);
+    const color = plan.valid ? this.colors.validConnection : this.colors.invalidConnection;
+
+    if (Number.isFinite(plan.reach)) {
+      this.layers.ghost.lineStyle(1, color, 0.25);
+      this.layers.ghost.drawCircle(this.cursor.x, this.cursor.y, plan.reach);
+    }
 
-      this._drawConnectionLine(nearest[0], canConnect1);
-      this._drawConnectionLine(nearest[1], canConnect2);
+    for (const { node } of plan.rejected) {
+      this._drawConnectionLine(node, this.colors.invalidConnection, 1, this.previewLinkAlpha * 0.5);
+    }
+    for (const anchor of plan.anchors) {
+      this._drawConnectionLine(anchor, color, this.previewLinkWidth, this.previewLinkAlpha);
     }
   }
 
-  _drawConnectionLine(target, isValid) {
-    const color = isValid ? this.colors.validConnection : this.colors.invalidConnection;
-    this.layers.ghost.lineStyle(this.previewLinkWidth, color, this.previewLinkAlpha);
+  _drawConnectionLine(target, color, width, alpha) {
+    this.layers.ghost.lineStyle(width, color, alpha);
     this.layers.ghost.moveTo(this.cursor.x, this.cursor.y);
-    this.layers.ghost.lineTo(target.x, target.y);
+    this.layers.ghost.lineTo(this._nodeX(target), this._nodeY(target));
   }
 
-  _renderNodes(nodes) {
+  // Blob nodes are part of their outline, so only their pin ring is drawn
+  _renderNodes(nodes, outlineNodes = new Set()) {
+    const g = this.layers.nodes;
     for (const node of nodes) {
-      this.layers.nodes.beginFill(this.colors.nodes, 1);
-      this.layers.nodes.drawCircle(node.x, node.y, node.r);
-      this.layers.nodes.endFill();
+      const style = this.nodeStyles[node.type];
+      const x = this._nodeX(node), y = this._nodeY(node);
+
+      if (!outlineNodes.has(node)) {
+        g.lineStyle(0);
+        this._drawNodeShape(g, style ? style.shape : 'circle', x, y, node.r,
+          this._sleepTint(node, style ? style.color : this.colors.nodes));
+      }
+
+      // Pinned nodes get an outline ring
+      if (node.pinned) {
+        g.lineStyle(2, this.colors.pinned, 1);
+        g.drawCircle(x, y, node.r + 3);
+        g.lineStyle(0);
+      }
+    }
+  }
+
+  _drawNodeShape(g, shape, x, y, r, color) {
+    if (shape === 'ring') {
+      g.lineStyle(3, color, 1);
+      g.drawCircle(x, y, r - 1.5);
+      g.lineStyle(0);
+      return;
+    }
+
+    g.beginFill(color, 1);
+    switch (shape) {
+      case 'square':
+        g.drawRect(x - r * 0.85, y - r * 0.85, r * 1.7, r * 1.7);
+        break;
+      case 'diamond':
+        g.drawPolygon([x, y - r, x + r, y, x, y + r, x - r, y]);
+        break;
+      case 'triangle':
+        g.drawPolygon([x, y - r, x + r * 0.9, y + r * 0.7, x - r * 0.9, y + r * 0.7]);
+        break;
+      case 'hexagon': {
+        const points = [];
+        for (let i = 0; i < 6; i++) {
+          const angle = Math.PI / 6 + i * Math.PI / 3;
+          points.push(x + Math.cos(angle) * r, y + Math.sin(angle) * r);
+        }
+        g.drawPolygon(points);
+        break;
+      }
+      default:
+        g.drawCircle(x, y, r);
     }
+    g.endFill();
   }
 
+  // Each tool has its own cursor; pin and link also ring the hovered node
   _renderCursor() {
-    if (!this.isDeleteMode) {
-      this.layers.nodes.beginFill(this.colors.cursor, 1);
-      this.layers.nodes.drawCircle(this.cursor.x, this.cursor.y, this.cursorRadius);
-      this.layers.nodes.endFill();
+    if (!this.showCursor || this.isDeleteMode || this.dragConstraints.length > 0 ||
+        this.deleteConfirmations.length > 0) return;
+
+    const g = this.layers.nodes;
+    const { x, y } = this.cursor;
+    const r = this.cursorRadius;
+    const hovered = this.hoveredNode;
+
+    switch (this.tool) {
+      case 'build': {
+        // Preview the goo type that a click would place
+        const style = this.nodeStyles[this.activePaletteId];
+        this._drawNodeShape(g, style ? style.shape : 'circle', x, y, r, style ? style.color : this.colors.cursor);
+        break;
+      }
+      case 'delete':
+        g.lineStyle(3, this.colors.deleteHighlight, 0.9);
+        g.moveTo(x - r * 0.7, y - r * 0.7);
+        g.lineTo(x + r * 0.7, y + r * 0.7);
+        g.moveTo(x + r * 0.7, y - r * 0.7);
+        g.lineTo(x - r * 0.7, y + r * 0.7);
+        break;
+      case 'pin':
+        g.lineStyle(3, this.colors.pinned, 0.9);
+        g.drawCircle(x, y, r * 0.6);
+        if (hovered) g.drawCircle(this._nodeX(hovered), this._nodeY(hovered), hovered.r + 4);
+        break;
+      case 'link':
+        g.lineStyle(2, this.colors.validConnection, 0.9);
+        g.drawCircle(x, y, r * 0.5);
+        if (hovered) g.drawCircle(this._nodeX(hovered), this._nodeY(hovered), hovered.r + 4);
+        break;
+      case 'cut':
+        g.lineStyle(2, this.colors.tension, 0.9);
+        g.moveTo(x - r, y);
+        g.lineTo(x + r, y);
+        g.moveTo(x, y - r);
+        g.lineTo(x, y + r);
+        break;
+      default:
+        // Force field placement
+        g.lineStyle(2, this.colors.cursor, 0.7);
+        g.drawCircle(x, y, r * 0.5);
+        g.moveTo(x - r, y);
+        g.lineTo(x + r, y);
+        g.moveTo(x, y - r);
+        g.lineTo(x, y + r);
     }
   }
 
@@ -168,15 +691,152 @@ class MeshRenderer {
     if (!this.showHUD || !this.hudText) return;
 
     // Draw HUD background
-    this.layers.nodes.lineStyle(0);
-    this.layers.nodes.beginFill(this.colors.hudBackground, 1);
-    this.layers.nodes.drawRect(0, this.app.renderer.height - 40, this.app.renderer.width, 40);
-    this.layers.nodes.endFill();
+    this.layers.ui.lineStyle(0);
+    this.layers.ui.beginFill(this.colors.hudBackground, 1);
+    this.layers.ui.drawRect(0, this.app.renderer.height - 40, this.app.renderer.width, 40);
+    this.layers.ui.endFill();
 
     // Draw HUD text
-    const text = "Click to add nodes connected to nearest neighbors. Hover over nodes to delete.";
-    this.hudText.text = text;
+    this.hudText.text = this.hudMessage;
     this.hudText.position.set(12, this.app.renderer.height - 18);
+
+    // Most stressed link, for tuning structures
+    if (this.stressText) {
+      const percent = (Math.abs(this.maxStrain) * 100).toFixed(1);
+      const detail = this.maxStrain < 0 ? `-${percent}% compression` : `+${percent}% tension`;
+      this.stressText.text = `Max strain ${percent === '0.0' ? '0.0%' : detail}`;
+      this.stressText.position.set(this.app.renderer.width - 12, this.app.renderer.height - 36);
+    }
+  }
+
+  _renderPalette() {
+    const g = this.layers.ui;
+    const size = this.paletteItemSize;
+
+    this.palette.forEach((item, i) => {
+      const x = 12 + i * (size + 8), y = 12;
+      const active = item.id === this.activePaletteId;
+
+      g.lineStyle(active ? 2 : 1, active ? this.colors.paletteActive : this.colors.hudText, active ? 1 : 0.4);
+      g.beginFill(this.colors.hudBackground, 0.85);
+      g.drawRoundedRect(x, y, size, size, 6);
+      g.endFill();
+      g.lineStyle(0);
+
+      const style = this.nodeStyles[item.id] || {};
+      this._drawNodeShape(g, style.shape, x + size / 2, y + size / 2 - 5, 10, style.color ?? this.colors.nodes);
+
+      const label = this.paletteLabels[i];
+      if (label) label.position.set(x + size / 2, y + size - 8);
+    });
+  }
+
+  _renderToolbar() {
+    const g = this.layers.ui;
+
+    this.toolbar.forEach((item, i) => {
+      const { x, y, width, height } = this._toolbarItemRect(i);
+      const active = item.id === this.tool;
+
+      g.lineStyle(active ? 2 : 1, active ? this.colors.paletteActive : this.colors.hudText, active ? 1 : 0.4);
+      g.beginFill(this.colors.hudBackground, 0.85);
+      g.drawRoundedRect(x, y, width, height, 6);
+      g.endFill();
+
+      const label = this.toolbarLabels[i];
+      if (label) label.position.set(x + width / 2, y + height / 2);
+    });
+  }
+
+  _toolbarItemRect(index) {
+    const { width, height } = this.toolbarItemSize;
+    return { x: 12 + index * (width + 6), y: this.app.renderer.height - 48 - height, width, height };
+  }
+
+  // One rolling sparkline per row, scaled to that row's own range
+  _renderDiagnostics() {
+    for (const label of this.diagnosticsLabels) label.visible = this.showDiagnostics;
+    if (!this.showDiagnostics) return;
+
+    const g = this.layers.ui;
+    const width = this.diagnosticsWidth, rowHeight = this.diagnosticsRowHeight;
+    const left = this.app.renderer.width - width - 12, top = 12;
+
+    g.lineStyle(1, this.colors.hudText, 0.3);
+    g.beginFill(this.colors.hudBackground, 0.85);
+    g.drawRoundedRect(left, top, width, this.diagnosticsRows.length * rowHeight + 8, 6);
+    g.endFill();
+
+    this.diagnosticsRows.forEach((row, i) => {
+      const y = top + 4 + i * rowHeight;
+      const values = row.values;
+      const latest = values.length ? values[values.length - 1] : 0;
+
+      const label = this._diagnosticsLabel(i);
+      label.text = `${row.label}: ${this._formatMetric(latest)}`;
+      label.position.set(left + 8, y + 2);
+
+      if (values.length < 2) return;
+      const min = Math.min(...values), max = Math.max(...values);
+      const range = max - min || 1;
+      const graphTop = y + 17, graphHeight = rowHeight - 20;
+      const graphWidth = width - 16;
+
+      g.lineStyle(1, this.colors.validConnection, 0.9);
+      values.forEach((value, j) => {
+        const px = left + 8 + (j / (values.length - 1)) * graphWidth;
+        const py = graphTop + graphHeight - ((value - min) / range) * graphHeight;
+        if (j === 0) g.moveTo(px, py);
+        else g.lineTo(px, py);
+      });
+    });
+    g.lineStyle(0);
+  }
+
+  _diagnosticsLabel(index) {
+    if (!this.diagnosticsLabels[index]) {
+      const text = new PIXI.Text("", new PIXI.TextStyle({
+        fill: this.colors.hudText,
+        fontSize: 10
+      }));
+      this.app.stage.addChild(text);
+      this.diagnosticsLabels[index] = text;
+    }
+    return this.diagnosticsLabels[index];
+  }
+
+  _formatMetric(value) {
+    if (value === 0) return '0';
+    const magnitude = Math.abs(value);
+    if (magnitude >= 1e5 || magnitude < 1e-3) return value.toExponential(2);
+    return value.toFixed(magnitude >= 100 ? 0 : 3);
+  }
+
+  _renderBanner() {
+    if (!this.bannerText) return;
+
+    this.bannerText.text = this.banner;
+    this.bannerText.position.set(this.app.renderer.width / 2, this.app.renderer.height * 0.2);
+
+    this.ruleText.text = this.ruleProgress.map(({ label, met }) =>
+      met === undefined ? label : `${met ? '✓' : '○'} ${label}`).join('\n');
+    this.ruleText.position.set(this.app.renderer.width / 2, this.app.renderer.height * 0.2 + 24);
+  }
+
+  _renderPluginLayers(mesh) {
+    for (const layer of this.pluginLayers) {
+      layer.graphics.clear();
+      layer.render(layer.graphics, mesh, this);
+    }
+  }
+
+  // Interpolated node position for the current render alpha
+  _nodeX(node) {
+    return node.lastX + (node.x - node.lastX) * this.alpha;
+  }
+
+  _nodeY(node) {
+    return node.lastY + (node.y - node.lastY) * this.alpha;
   }
 
   // ==================== INTERACTION STATE ====================
@@ -191,6 +851,127 @@ class MeshRenderer {
     this.hoveredNode = hoveredNode;
   }
 
+  // goal: { x, y, width, height } in world space, or null
+  setGoal(goal, reached = false) {
+    this.goal = goal;
+    this.goalReached = reached;
+  }
+
+  setBanner(text) {
+    this.banner = text || '';
+  }
+
+  // rules: level rule objects (see rules.js), drawn in world space
+  setRules(rules) {
+    this.rules = rules || [];
+  }
+
+  // lines: [{ label, met }] listed under the banner; lines without met are
+  // shown unmarked
+  setRuleProgress(lines) {
+    this.ruleProgress = lines || [];
+  }
+
+  // MouseConstraints being dragged, one per pointer
+  setDrags(constraints) {
+    this.dragConstraints = constraints;
+  }
+
+  // rings: [{ x, y, radius, progress }] in world space, progress 0-1
+  setDeleteConfirmations(rings) {
+    this.deleteConfirmations = rings;
+  }
+
+  // Touch has no hover, so the cursor and connection preview can be hidden
+  setCursorVisible(visible) {
+    this.showCursor = visible;
+  }
+
+  setHUDText(text) {
+    this.hudMessage = text;
+  }
+
+  // styles: { [typeId]: { color, shape } }
+  setNodeStyles(styles) {
+    this.nodeStyles = { ...this.nodeStyles, ...styles };
+  }
+
+  // items: [{ id, label }], drawn as clickable swatches with hotkeys 1..9
+  setPalette(items, activeId) {
+    this.palette = items;
+    this.activePaletteId = activeId;
+
+    for (const label of this.paletteLabels) label.destroy();
+    this.paletteLabels = items.map((item, i) => {
+      const text = new PIXI.Text(`${i + 1} ${item.label}`, new PIXI.TextStyle({
+        fill: this.colors.hudText,
+        fontSize: 9
+      }));
+      text.anchor.set(0.5);
+      this.app.stage.addChild(text);
+      return text;
+    });
+  }
+
+  setActivePaletteItem(id) {
+    this.activePaletteId = id;
+  }
+
+  // items: [{ id, label, key }], drawn as clickable buttons above the HUD
+  setToolbar(items) {
+    this.toolbar = items;
+
+    for (const label of this.toolbarLabels) label.destroy();
+    this.toolbarLabels = items.map(item => {
+      const text = new PIXI.Text(`${item.key.toUpperCase()} ${item.label}`, new PIXI.TextStyle({
+        fill: this.colors.hudText,
+        fontSize: 11
+      }));
+      text.anchor.set(0.5);
+      this.app.stage.addChild(text);
+      return text;
+    });
+  }
+
+  // A toolbar id, or another name (e.g. 'field') for a tool not on it
+  setTool(tool) {
+    this.tool = tool;
+  }
+
+  // Toolbar item id under a canvas position, or null
+  getToolbarItemAt(x, y) {
+    for (let i = 0; i < this.toolbar.length; i++) {
+      const rect = this._toolbarItemRect(i);
+      if (x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height) {
+        return this.toolbar[i].id;
+      }
+    }
+    return null;
+  }
+
+  // { from, to, valid }: a link being made from one node, ending at another
+  // node or (to null) the cursor; null when none
+  setLinkPreview(preview) {
+    this.linkPreview = preview;
+  }
+
+  // { x1, y1, x2, y2 } in world space, or null
+  setCutLine(line) {
+    this.cutLine = line;
+  }
+
+  // Palette item id under a canvas position, or null
+  getPaletteItemAt(x, y) {
+    const size = this.paletteItemSize;
+    for (let i = 0; i < this.palette.length; i++) {
+      const left = 12 + i * (size + 8);
+      if (x >= left && x <= left + size && y >= 12 && y <= 12 + size) {
+        return this.palette[i].id;
+      }
+    }
+    return null;
+  }
+
   setConnectionPreview(enabled) {
     this.showConnectionPreview = enabled;
   }
@@ -200,6 +981,36 @@ class MeshRenderer {
     if (this.hudText) {
       this.hudText.visible = enabled;
     }
+    if (this.stressText) {
+      this.stressText.visible = enabled;
+    }
+  }
+
+  // Color and thicken links by strain: blue compression, red tension
+  setStressOverlay(enabled) {
+    this.showStress = enabled;
+  }
+
+  setDiagnosticsPanel(enabled) {
+    this.showDiagnostics = enabled;
+  }
+
+  // rows: [{ label, values }] with values oldest first
+  setDiagnosticsData(rows) {
+    this.diagnosticsRows = rows;
+  }
+
+  // Debug rings showing how far each angle constraint is from rest
+  setAngleErrorOverlay(enabled) {
+    this.showAngleErrors = enabled;
+  }
+
+  setSleepingOverlay(enabled) {
+    this.showSleeping = enabled;
+  }
+
+  setForceFieldOverlay(enabled) {
+    this.showForceFields = enabled;
   }
 
   // ==================== CUSTOMIZATION ====================
@@ -218,11 +1029,110 @@ class MeshRenderer {
     this.previewLinkAlpha = alpha;
   }
 
+  // ==================== PLUGIN LAYERS ====================
+
+  // render(graphics, mesh, renderer) draws into a PIXI.Graphics cleared
+  // every frame. 'world' layers move with the camera, above the structure;
+  // 'screen' layers draw in canvas pixels above the HUD
+  addRenderLayer(name, render, options = {}) {
+    this.removeRenderLayer(name);
+    const layer = { name, render, space: options.space || 'world', graphics: null };
+    this.pluginLayers.push(layer);
+    if (this.app) this._attachPluginLayer(layer);
+    return layer;
+  }
+
+  removeRenderLayer(name) {
+    const layer = this.pluginLayers.find(l => l.name === name);
+    if (!layer) return;
+
+    this.pluginLayers = this.pluginLayers.filter(l => l !== layer);
+    if (layer.graphics) layer.graphics.destroy();
+  }
+
+  // Where a node is drawn this frame, for layers that follow nodes
+  getNodePosition(node) {
+    return { x: this._nodeX(node), y: this._nodeY(node) };
+  }
+
+  _attachPluginLayer(layer) {
+    layer.graphics = new PIXI.Graphics();
+    (layer.space === 'screen' ? this.app.stage : this.world).addChild(layer.graphics);
+  }
+
+  // ==================== CAMERA ====================
+
+  // World area the camera may show: { width, height }, or null for no limit
+  setWorldBounds(width, height) {
+    this.worldBounds = { width, height };
+    this._clampCamera();
+  }
+
+  // Pan by a distance in canvas pixels
+  pan(dx, dy) {
+    this.camera.x -= dx / this.camera.zoom;
+    this.camera.y -= dy / this.camera.zoom;
+    this._clampCamera();
+  }
+
+  // Zoom by a factor, keeping the world point under (canvasX, canvasY) fixed
+  zoomAt(factor, canvasX, canvasY) {
+    const before = this.canvasToWorld(canvasX, canvasY);
+    this.camera.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, this.camera.zoom * factor));
+    this.camera.x = before.x - canvasX / this.camera.zoom;
+    this.camera.y = before.y - canvasY / this.camera.zoom;
+    this._clampCamera();
+  }
+
+  // Center the view on a world point
+  centerOn(x, y) {
+    this.camera.x = x - this.app.renderer.width / this.camera.zoom / 2;
+    this.camera.y = y - this.app.renderer.height / this.camera.zoom / 2;
+    this._clampCamera();
+  }
+
+  setFollowMode(enabled) {
+    this.followMode = enabled;
+  }
+
+  // Follow mode keeps the mesh's highest node in the upper third of the view
+  _updateCamera(mesh) {
+    if (this.followMode && mesh.getNodes().length > 0) {
+      const highest = mesh.getNodes().reduce((top, node) => node.y < top.y ? node : top);
+      const viewWidth = this.app.renderer.width / this.camera.zoom;
+      const viewHeight = this.app.renderer.height / this.camera.zoom;
+      const targetX = highest.x - viewWidth / 2;
+      const targetY = highest.y - viewHeight / 3;
+
+      this.camera.x += (targetX - this.camera.x) * this.followSmoothing;
+      this.camera.y += (targetY - this.camera.y) * this.followSmoothing;
+      this._clampCamera();
+    }
+
+    this.world.scale.set(this.camera.zoom);
+    this.world.position.set(-this.camera.x * this.camera.zoom, -this.camera.y * this.camera.zoom);
+  }
+
+  // Keep the view inside the world, centering worlds smaller than the view
+  _clampCamera() {
+    if (!this.worldBounds || !this.app) return;
+
+    const viewWidth = this.app.renderer.width / this.camera.zoom;
+    const viewHeight = this.app.renderer.height / this.camera.zoom;
+    const clampAxis = (value, view, world) => view >= world
+      ? (world - view) / 2
+      : Math.max(0, Math.min(world - view, value));
+
+    this.camera.x = clampAxis(this.camera.x, viewWidth, this.worldBounds.width);
+    this.camera.y = clampAxis(this.camera.y, viewHeight, this.worldBounds.height);
+  }
+
   // ==================== UTILITY ====================
 
   resize(width, height) {
     if (this.app) {
       this.app.renderer.resize(width, height);
+      this._clampCamera();
     }
   }
 
@@ -242,7 +1152,8 @@ class MeshRenderer {
 
   // ==================== INPUT HELPERS ====================
 
-  screenToWorld(clientX, clientY) {
+  // Client (page) coordinates to canvas pixels, correcting for CSS scaling
+  screenToCanvas(clientX, clientY) {
     if (!this.app) return { x: clientX, y: clientY };
 
     const rect = this.app.view.getBoundingClientRect();
@@ -251,6 +1162,31 @@ class MeshRenderer {
       y: (clientY - rect.top) * (this.app.renderer.height / rect.height)
     };
   }
+
+  canvasToWorld(canvasX, canvasY) {
+    return {
+      x: canvasX / this.camera.zoom + this.camera.x,
+      y: canvasY / this.camera.zoom + this.camera.y
+    };
+  }
+
+  screenToWorld(clientX, clientY) {
+    const canvas = this.screenToCanvas(clientX, clientY);
+    return this.canvasToWorld(canvas.x, canvas.y);
+  }
+
+  // World coordinates to client (page) coordinates
+  worldToScreen(x, y) {
+    const canvasX = (x - this.camera.x) * this.camera.zoom;
+    const canvasY = (y - this.camera.y) * this.camera.zoom;
+    if (!this.app) return { x: canvasX, y: canvasY };
+
+    const rect = this.app.view.getBoundingClientRect();
+    return {
+      x: canvasX * (rect.width / this.app.renderer.width) + rect.left,
+      y: canvasY * (rect.height / this.app.renderer.height) + rect.top
+    };
+  }
 }
 
 // Export for use in other modules or browser
@@ -10,11 +10,30 @@ class Mesh {
     this.solverIterations = config.solverIterations || 6;
     this.stiffness = config.stiffness || 0.25;
 
+    // Solver: 'pbd' moves constraints by their stiffness each iteration and
+    // splits link corrections evenly; 'xpbd' weights every correction by
+    // inverse mass and uses compliance (inverse stiffness, px per unit force,
+    // 0 = rigid), so results don't depend on iteration count or timestep.
+    // Links and angle constraints without their own compliance use these
+    this.solver = config.solver || 'pbd';
+    this.linkCompliance = config.linkCompliance ?? 1e-5;
+    this.angleCompliance = config.angleCompliance ?? 1e-7;
+
     // Collision parameters
     this.wallRestitution = config.wallRestitution || 0.25;
     this.groundRestitution = config.groundRestitution || 0.18;
     this.friction = config.friction || 0.85;
 
+    // Node-vs-node and node-vs-link contacts between structures
+    this.nodeCollisions = config.nodeCollisions !== false;
+
+    // Sleeping: islands (structures joined by links) that stay slower than
+    // sleepSpeed (px/s) for sleepTime seconds are skipped by the simulation
+    // until touched, edited or hit by another island
+    this.allowSleeping = config.allowSleeping || false;
+    this.sleepSpeed = config.sleepSpeed || 4;
+    this.sleepTime = config.sleepTime || 1;
+
     // Boundary configuration
     this.bounds = config.bounds || { width: 800, height: 600 };
     this.groundY = config.groundY || this.bounds.height - 90;
@@ -23,10 +42,117 @@ class Mesh {
     this.defaultNodeRadius = config.defaultNodeRadius || 8;
     this.defaultNodeMass = config.defaultNodeMass || 15;
 
+    // Link breaking (strain = stretch beyond rest length, Infinity = unbreakable)
+    this.breakStrain = config.breakStrain || Infinity;
+    this.breakSteps = config.breakSteps || 1;
+
+    // Broadphase: 'grid' (spatial hash) or 'none' (brute-force pair loops)
+    this.broadphase = config.broadphase || 'grid';
+    this.cellSize = config.cellSize || 64;
+
+    // Per-step metrics, emitted as a 'diagnostics' event (see _collectDiagnostics)
+    this.diagnostics = config.diagnostics || false;
+    this.lastDiagnostics = null;
+    this._crossingCorrections = 0;
+
+    // How new angle constraints solve: 'angle' or the legacy 'distance'
+    // (see AngleConstraint)
+    this.angleMode = config.angleMode || 'angle';
+
+    // Picks the anchors a newly placed node links to (see ConnectionStrategy)
+    this.connectionStrategy = config.connectionStrategy || new ConnectionStrategy();
+
     // Internal state
     this.nodes = [];
     this.links = [];
     this.angleConstraints = [];
+    this.pressureConstraints = [];
+    this.colliders = [];
+    this.forceFields = [];
+    this.mouseConstraints = [];
+    this.islands = [];
+    this._listeners = {};
+
+    // Plugin extension points (see PLUGINS)
+    this.plugins = [];
+    this.forceGenerators = [];
+    this.customConstraints = [];
+    this._groundContacts = new Map();
+
+    // Spatial index, rebuilt every step and after structural changes
+    this._nodeGrid = new SpatialHash(this.cellSize);
+    this._linkGrid = new SpatialHash(this.cellSize);
+    this._indexDirty = true;
+  }
+
+  // ==================== EVENTS ====================
+
+  on(event, handler) {
+    if (!this._listeners[event]) this._listeners[event] = [];
+    this._listeners[event].push(handler);
+    return this;
+  }
+
+  off(event, handler) {
+    const handlers = this._listeners[event];
+    if (handlers) {
+      this._listeners[event] = handlers.filter(h => h !== handler);
+    }
+    return this;
+  }
+
+  // Events (payloads in braces):
+  //   nodeAdded { node }, nodeRemoved { node, cascade }: cascade is true
+  //     for orphans removed because of another removal or a break
+  //   linkAdded { link }, linkRemoved { link, broken }, linkBroken { link, strain }
+  //   groundContact { node, speed }: a node touches the ground after a step
+  //     off it; speed is its downward speed in px/s
+  //   beforeStep { deltaTime }, afterStep { deltaTime }, diagnostics (see step)
+  // Bulk replacements (loadJSON, setState, clear) emit no element events
+  _emit(event, payload) {
+    const handlers = this._listeners[event];
+    if (!handlers) return;
+    for (const handler of handlers.slice()) {
+      handler(payload);
+    }
+  }
+
+  // ==================== PLUGINS ====================
+  // A plugin is an object with install(mesh) and optionally uninstall(mesh);
+  // install typically registers force generators and constraints:
+  //   force generator: { apply(mesh, deltaTime) } calls node.applyForce()
+  //     after gravity, before integration
+  //   constraint: { satisfy(deltaTime, iteration) } runs every solver
+  //     iteration after the built-in constraints
+
+  use(plugin) {
+    this.plugins.push(plugin);
+    plugin.install(this);
+    return this;
+  }
+
+  removePlugin(plugin) {
+    if (!this.plugins.includes(plugin)) return;
+    this.plugins = this.plugins.filter(p => p !== plugin);
+    if (plugin.uninstall) plugin.uninstall(this);
+  }
+
+  addForceGenerator(generator) {
+    this.forceGenerators.push(generator);
+    return generator;
+  }
+
+  removeForceGenerator(generator) {
+    this.forceGenerators = this.forceGenerators.filter(g => g !== generator);
+  }
+
+  addConstraint(constraint) {
+    this.customConstraints.push(constraint);
+    return constraint;
+  }
+
+  removeConstraint(constraint) {
+    this.customConstraints = this.customConstraints.filter(c => c !== constraint);
   }
 
   // ==================== NODE MANAGEMENT ====================
@@ -39,53 +165,171 @@ class Mesh {
       options.pinned || false
     );
 
+    // Goo type properties
+    node.type = options.type || node.type;
+    if (options.gravityScale !== undefined) node.gravityScale = options.gravityScale;
+    node.sticky = options.sticky || false;
+    node.detachable = options.detachable || false;
+
     if (options.initialVelocity) {
       node.px = x - options.initialVelocity.x;
       node.py = y - options.initialVelocity.y;
     }
 
     this.nodes.push(node);
+    this._indexDirty = true;
+    this._emit('nodeAdded', { node });
     return node;
   }
 
-  removeNode(node) {
+  // Returns every node, link and constraint removed, cascades included
+  removeNode(node, removed = { nodes: [], links: [], angleConstraints: [], pressureConstraints: [] }) {
+    return this._removeNode(node, removed, false);
+  }
+
+  // cascade: the node is an orphan left behind by another removal
+  _removeNode(node, removed, cascade) {
+    const connectedNodes = this._detachLinks(node, removed);
+
+    // Drop any pointer holding this node
+    this.mouseConstraints = this.mouseConstraints.filter(constraint => constraint.node !== node);
+
+    // Remove the node itself
+    const nodeIndex = this.nodes.indexOf(node);
+    if (nodeIndex !== -1) {
+      this.nodes.splice(nodeIndex, 1);
+      removed.nodes.push(node);
+      this._emit('nodeRemoved', { node, cascade });
+    }
+
+    this._removeOrphans(connectedNodes, removed);
+    this._indexDirty = true;
+    return removed;
+  }
+
+  // Cut a node loose from its structure but keep it in the mesh; unlike
+  // removeNode, neighbours stay even when left with fewer than two links
+  detachNode(node) {
+    const removed = { nodes: [], links: [], angleConstraints: [], pressureConstraints: [] };
+    this._detachLinks(node, removed);
+    this._indexDirty = true;
+    return removed;
+  }
+
+  // Remove a node's links and constraints; returns its former neighbours
+  _detachLinks(node, removed) {
     // Find connected nodes before removing links
     const connectedNodes = [];
     for (const link of this.links) {
       if (link.a === node) connectedNodes.push(link.b);
       else if (link.b === node) connectedNodes.push(link.a);
     }
+    this._disturb(connectedNodes);
 
     // Remove all links connected to this node
-    this.links = this.links.filter(link =>
-      link.a !== node && link.b !== node
-    );
+    const detached = [];
+    this.links = this.links.filter(link => {
+      const connected = link.a === node || link.b === node;
+      if (connected) detached.push(link);
+      return !connected;
+    });
+    for (const link of detached) {
+      removed.links.push(link);
+      this._emit('linkRemoved', { link, broken: false });
+    }
+    this._wakeNear([node], detached);
 
     // Remove all angle constraints connected to this node
+    this.angleConstraints = this.angleConstraints.filter(constraint => {
+      const connected = constraint.a === node || constraint.b === node || constraint.c === node;
+      if (connected) removed.angleConstraints.push(constraint);
+      return !connected;
+    });
+
+    // A loop missing a node no longer encloses anything
+    this.pressureConstraints = this.pressureConstraints.filter(constraint => {
+      const connected = constraint.nodes.includes(node);
+      if (connected) removed.pressureConstraints.push(constraint);
+      return !connected;
+    });
+
+    return connectedNodes;
+  }
+
+  // Removes exactly the given elements, without orphan cleanup
+  removeElements({ nodes = [], links = [], angleConstraints = [], pressureConstraints = [] }) {
+    const removedLinks = this.links.filter(link =>
+      links.includes(link) || nodes.includes(link.a) || nodes.includes(link.b)
+    );
+    const removedNodes = this.nodes.filter(node => nodes.includes(node));
+    for (const link of removedLinks) {
+      this._disturb([link.a, link.b]);
+    }
+    this._wakeNear(removedNodes, removedLinks);
+
+    this.nodes = this.nodes.filter(node => !nodes.includes(node));
+    this.links = this.links.filter(link => !removedLinks.includes(link));
     this.angleConstraints = this.angleConstraints.filter(constraint =>
-      constraint.a !== node && constraint.b !== node && constraint.c !== node
+      !angleConstraints.includes(constraint) &&
+      !nodes.includes(constraint.a) && !nodes.includes(constraint.b) && !nodes.includes(constraint.c)
+    );
+    this.pressureConstraints = this.pressureConstraints.filter(constraint =>
+      !pressureConstraints.includes(constraint) && !constraint.nodes.some(node => nodes.includes(node))
     );
+    this.mouseConstraints = this.mouseConstraints.filter(constraint => !nodes.includes(constraint.node));
+    this._indexDirty = true;
 
-    // Remove the node itself
-    const nodeIndex = this.nodes.indexOf(node);
-    if (nodeIndex !== -1) {
-      this.nodes.splice(nodeIndex, 1);
-    }
+    for (const link of removedLinks) this._emit('linkRemoved', { link, broken: false });
+    for (const node of removedNodes) this._emit('nodeRemoved', { node, cascade: false });
+  }
 
-    // Recursively remove orphaned nodes (less than 2 connections)
-    for (const connectedNode of connectedNodes) {
-      const connectionCount = this.links.filter(link =>
-        link.a === connectedNode || link.b === connectedNode
-      ).length;
+  // Re-inserts previously removed elements; links and constraints whose
+  // nodes are no longer in the mesh are skipped
+  restoreElements({ nodes = [], links = [], angleConstraints = [], pressureConstraints = [] }) {
+    for (const node of nodes) {
+      if (!this.nodes.includes(node)) {
+        this.nodes.push(node);
+        this._emit('nodeAdded', { node });
+      }
+    }
 
-      if (connectionCount < 2) {
-        this.removeNode(connectedNode);
+    const hasNode = (node) => this.nodes.includes(node);
+    for (const link of links) {
+      if (!this.links.includes(link) && hasNode(link.a) && hasNode(link.b)) {
+        link.overstrainSteps = 0;
+        this._disturb([link.a, link.b]);
+        this.links.push(link);
+        this._emit('linkAdded', { link });
+      }
+    }
+    for (const constraint of angleConstraints) {
+      if (!this.angleConstraints.includes(constraint) &&
+          hasNode(constraint.a) && hasNode(constraint.b) && hasNode(constraint.c)) {
+        this.angleConstraints.push(constraint);
+      }
+    }
+    for (const constraint of pressureConstraints) {
+      if (!this.pressureConstraints.includes(constraint) && constraint.nodes.every(hasNode)) {
+        this.pressureConstraints.push(constraint);
       }
     }
+    this._indexDirty = true;
+  }
+
+  getConnectionCount(node) {
+    return this.links.filter(link => link.a === node || link.b === node).length;
   }
 
   getNodeAt(x, y) {
-    for (const node of this.nodes) {
+    if (this.broadphase === 'none') {
+      return this.nodes.find(node => Math.hypot(node.x - x, node.y - y) <= node.r) || null;
+    }
+
+    this._ensureSpatialIndex();
+    const candidates = this._nodeGrid.query(x, y, x, y);
+
+    for (const index of candidates) {
+      const node = this.nodes[index];
       const dx = node.x - x;
       const dy = node.y - y;
       const distance = Math.sqrt(dx * dx + dy * dy);
@@ -97,8 +341,32 @@ class Mesh {
   }
 
   getNearestNodes(x, y, count = 2) {
+    const wanted = Math.min(count, this.nodes.length);
+    let pool = this.nodes;
+
+    if (this.broadphase !== 'none' && wanted > 0) {
+      this._ensureSpatialIndex();
+
+      // Grow the search radius until it holds enough nodes; anything closer
+      // than the count-th node found inside the radius is inside it too
+      let radius = this.cellSize;
+      for (;;) {
+        pool = this._nodeGrid.query(x - radius, y - radius, x + radius, y + radius)
+          .map(index => this.nodes[index])
+          .filter(n => (n.x - x) ** 2 + (n.y - y) ** 2 <= radius * radius);
+        if (pool.length >= wanted) break;
+        radius *= 2;
+
+        // Nodes with non-finite positions never land inside any radius
+        if (radius > 1e7) {
+          pool = this.nodes;
+          break;
+        }
+      }
+    }
+
     const target = { x, y };
-    const candidates = this.nodes.map(n => ({
+    const candidates = pool.map(n => ({
       node: n,
       distanceSquared: (n.x - target.x) ** 2 + (n.y - target.y) ** 2
     })).sort((a, b) => a.distanceSquared - b.distanceSquared);
@@ -112,20 +380,95 @@ class Mesh {
     const link = new Link(
       nodeA, nodeB,
       options.stiffness || this.stiffness,
-      options.restMultiplier || 0.95
+      options.restMultiplier || 0.95,
+      options.breakStrain || this.breakStrain,
+      options.breakSteps || this.breakSteps
     );
+    link.slack = options.slack || false;
+    link.compliance = options.compliance ?? null;
+    this._disturb([nodeA, nodeB]);
     this.links.push(link);
+    this._indexDirty = true;
+    this._emit('linkAdded', { link });
     return link;
   }
 
-  createAngleConstraint(nodeA, nodeB, nodeC, stiffness = 0.8) {
-    const constraint = new AngleConstraint(nodeA, nodeB, nodeC, stiffness);
+  getLinkBetween(nodeA, nodeB) {
+    return this.links.find(link =>
+      (link.a === nodeA && link.b === nodeB) || (link.a === nodeB && link.b === nodeA)) || null;
+  }
+
+  // Sever one link; returns everything removed with it (constraints that
+  // relied on it and nodes it left orphaned), ready for restoreElements
+  removeLink(link, removed = { nodes: [], links: [], angleConstraints: [], pressureConstraints: [] }) {
+    if (!this.links.includes(link)) return removed;
+
+    this._disturb([link.a, link.b]);
+    this._severLink(link, removed, false);
+    return removed;
+  }
+
+  // Links the segment (x1, y1)-(x2, y2) passes through
+  getLinksCrossing(x1, y1, x2, y2) {
+    let links = this.links;
+    if (this.broadphase !== 'none') {
+      this._ensureSpatialIndex();
+      links = this._linkGrid.query(
+        Math.min(x1, x2), Math.min(y1, y2), Math.max(x1, x2), Math.max(y1, y2)
+      ).map(index => this.links[index]);
+    }
+
+    return links.filter(link => this._lineIntersection(x1, y1, x2, y2, link.a.x, link.a.y, link.b.x, link.b.y));
+  }
+
+  // options: { mode, minAngle, maxAngle, compliance } (see AngleConstraint); mode
+  // defaults to the mesh's angleMode
+  createAngleConstraint(nodeA, nodeB, nodeC, stiffness = 0.8, options = {}) {
+    const constraint = new AngleConstraint(nodeA, nodeB, nodeC, stiffness, { mode: this.angleMode, ...options });
     this.angleConstraints.push(constraint);
     return constraint;
   }
 
+  // nodes in loop order; pressure scales the area they enclose right now
+  createPressureConstraint(nodes, pressure = 1, stiffness = 0.5) {
+    const constraint = new PressureConstraint(nodes, pressure, stiffness);
+    this.pressureConstraints.push(constraint);
+    return constraint;
+  }
+
+  // Soft spring pulling a node toward a pointer position; grabbing
+  // stuck goo pulls it free, a user pin stays
+  createMouseConstraint(node, x, y, stiffness = 0.3) {
+    node.stuck = false;
+    const constraint = new MouseConstraint(node, x, y, stiffness);
+    this.mouseConstraints.push(constraint);
+    return constraint;
+  }
+
+  removeMouseConstraint(constraint) {
+    this.mouseConstraints = this.mouseConstraints.filter(c => c !== constraint);
+  }
+
+  setConnectionStrategy(strategy) {
+    this.connectionStrategy = strategy;
+  }
+
+  // Anchors a node placed at (x, y) would link to, per the active strategy
+  planConnections(x, y, exclude = null) {
+    return this.connectionStrategy.plan(this, x, y, exclude);
+  }
+
   wouldLinkCross(fromNode, toNode) {
-    for (const link of this.links) {
+    let links = this.links;
+    if (this.broadphase !== 'none') {
+      this._ensureSpatialIndex();
+      links = this._linkGrid.query(
+        Math.min(fromNode.x, toNode.x), Math.min(fromNode.y, toNode.y),
+        Math.max(fromNode.x, toNode.x), Math.max(fromNode.y, toNode.y)
+      ).map(index => this.links[index]);
+    }
+
+    for (const link of links) {
       // Skip if the link shares a node with our proposed connection
       if (link.a === fromNode || link.a === toNode ||
           link.b === fromNode || link.b === toNode) continue;
@@ -140,6 +483,87 @@ class Mesh {
     return false;
   }
 
+  // ==================== STATIC COLLIDERS ====================
+
+  createPolygonCollider(points) {
+    return this.addCollider(new PolygonCollider(points));
+  }
+
+  createSegmentCollider(x1, y1, x2, y2) {
+    return this.addCollider(new SegmentCollider(x1, y1, x2, y2));
+  }
+
+  createCircleCollider(x, y, radius) {
+    return this.addCollider(new CircleCollider(x, y, radius));
+  }
+
+  // Build a collider from its JSON definition (see Collider toJSON methods)
+  createCollider(definition) {
+    switch (definition.type) {
+      case 'polygon':
+        return this.createPolygonCollider(definition.points.map(([x, y]) => ({ x, y })));
+      case 'segment':
+        return this.createSegmentCollider(
+          definition.from[0], definition.from[1], definition.to[0], definition.to[1]
+        );
+      case 'circle':
+        return this.createCircleCollider(definition.center[0], definition.center[1], definition.radius);
+      default:
+        throw new Error(`Unknown collider type: ${definition.type}`);
+    }
+  }
+
+  addCollider(collider) {
+    this.colliders.push(collider);
+    return collider;
+  }
+
+  removeCollider(collider) {
+    this.colliders = this.colliders.filter(c => c !== collider);
+  }
+
+  // ==================== FORCE FIELDS ====================
+  // Fields push nodes every step on top of gravity (see the field classes).
+  // Adding, moving or removing one wakes sleeping structures; call wakeAll()
+  // after changing a field's settings directly
+
+  // Build a field from its JSON definition (see the field toJSON methods)
+  createForceField(definition) {
+    switch (definition.type) {
+      case 'wind':
+        return this.addForceField(new WindField(definition));
+      case 'radial':
+        return this.addForceField(new RadialField(definition));
+      case 'gravity':
+        return this.addForceField(new GravityZone(definition));
+      default:
+        throw new Error(`Unknown force field type: ${definition.type}`);
+    }
+  }
+
+  addForceField(field) {
+    this.forceFields.push(field);
+    this.wakeAll();
+    return field;
+  }
+
+  moveForceField(field, x, y) {
+    field.x = x;
+    field.y = y;
+    this.wakeAll();
+  }
+
+  removeForceField(field) {
+    this.forceFields = this.forceFields.filter(f => f !== field);
+    this.wakeAll();
+  }
+
+  // One-shot blast: nodes within radius get up to `impulse` px/s of
+  // velocity away from (x, y) at the next step
+  explode(x, y, radius = 200, impulse = 900) {
+    return this.addForceField(new ExplosionField({ x, y, radius, impulse }));
+  }
+
   // ==================== SHAPE GENERATION ====================
 
   createTriangle(centerX, centerY, size = 70) {
@@ -164,53 +588,502 @@ class Mesh {
     return [nodeA, nodeB, nodeC];
   }
 
+  // Ring of nodes linked edge to edge and held open by a pressure
+  // constraint; pressure > 1 inflates it past its built size. Returns the
+  // new elements in the shape removeNode() reports them
+  createBlob(centerX, centerY, radius = 50, segments = 12, pressure = 1) {
+    const nodes = [];
+    for (let i = 0; i < segments; i++) {
+      const angle = (i / segments) * Math.PI * 2;
+      nodes.push(this.createNode(centerX + Math.cos(angle) * radius, centerY + Math.sin(angle) * radius, {
+        initialVelocity: { x: 0, y: 2 }
+      }));
+    }
+
+    const links = nodes.map((node, i) =>
+      this.createLink(node, nodes[(i + 1) % segments], { stiffness: this.stiffness, restMultiplier: 1.0 })
+    );
+    const constraint = this.createPressureConstraint(nodes, pressure);
+
+    return { nodes, links, angleConstraints: [], pressureConstraints: [constraint] };
+  }
+
+  // ==================== SERIALIZATION ====================
+
+  getConfig() {
+    return {
+      gravity: { ...this.gravity },
+      damping: this.damping,
+      solverIterations: this.solverIterations,
+      stiffness: this.stiffness,
+      wallRestitution: this.wallRestitution,
+      groundRestitution: this.groundRestitution,
+      friction: this.friction,
+      nodeCollisions: this.nodeCollisions,
+      bounds: { ...this.bounds },
+      broadphase: this.broadphase,
+      cellSize: this.cellSize,
+      groundY: this.groundY,
+      defaultNodeRadius: this.defaultNodeRadius,
+      defaultNodeMass: this.defaultNodeMass,
+      // JSON has no Infinity, null means unbreakable
+      breakStrain: isFinite(this.breakStrain) ? this.breakStrain : null,
+      breakSteps: this.breakSteps,
+      allowSleeping: this.allowSleeping,
+      sleepSpeed: this.sleepSpeed,
+      sleepTime: this.sleepTime,
+      angleMode: this.angleMode,
+      solver: this.solver,
+      linkCompliance: this.linkCompliance,
+      angleCompliance: this.angleCompliance
+    };
+  }
+
+  // Live element arrays for in-memory snapshots (e.g. replay keyframes);
+  // unlike toJSON() this keeps object identity and per-step solver state
+  getState() {
+    return {
+      nodes: this.nodes,
+      links: this.links,
+      angleConstraints: this.angleConstraints,
+      pressureConstraints: this.pressureConstraints,
+      colliders: this.colliders,
+      forceFields: this.forceFields,
+      mouseConstraints: this.mouseConstraints,
+      config: this.getConfig()
+    };
+  }
+
+  // Adopt arrays from getState(); pass copies to keep a snapshot reusable
+  setState(state) {
+    this.nodes = state.nodes;
+    this.links = state.links;
+    this.angleConstraints = state.angleConstraints;
+    this.pressureConstraints = state.pressureConstraints || [];
+    this.colliders = state.colliders;
+    this.forceFields = state.forceFields || [];
+    this.mouseConstraints = state.mouseConstraints;
+    this.configure(state.config);
+    this._indexDirty = true;
+  }
+
+  // Change any getConfig() setting while the simulation runs; settings
+  // copied into links when they are created (stiffness, breakStrain,
+  // breakSteps) only affect new links
+  configure(config) {
+    for (const key of Object.keys(this.getConfig())) {
+      if (config[key] === undefined) continue;
+      if (key === 'gravity' || key === 'bounds') {
+        this[key] = { ...config[key] };
+      } else if (key === 'breakStrain') {
+        this.breakStrain = config.breakStrain === null ? Infinity : config.breakStrain;
+      } else {
+        this[key] = config[key];
+      }
+    }
+
+    if (config.cellSize !== undefined || config.broadphase !== undefined) {
+      this._nodeGrid = new SpatialHash(this.cellSize);
+      this._linkGrid = new SpatialHash(this.cellSize);
+      this._indexDirty = true;
+    }
+    return this;
+  }
+
+  toJSON() {
+    const nodeIndex = new Map(this.nodes.map((node, i) => [node, i]));
+
+    return {
+      version: Mesh.SCHEMA_VERSION,
+      config: this.getConfig(),
+      nodes: this.nodes.map(node => ({
+        x: node.x, y: node.y,
+        px: node.px, py: node.py,
+        r: node.r, mass: node.mass,
+        pinned: node.pinned,
+        stuck: node.stuck,
+        type: node.type,
+        gravityScale: node.gravityScale,
+        sticky: node.sticky,
+        detachable: node.detachable
+      })),
+      links: this.links.map(link => ({
+        a: nodeIndex.get(link.a),
+        b: nodeIndex.get(link.b),
+        rest: link.rest,
+        stiffness: link.stiffness,
+        breakStrain: isFinite(link.breakStrain) ? link.breakStrain : null,
+        breakSteps: link.breakSteps,
+        slack: link.slack,
+        compliance: link.compliance
+      })),
+      angleConstraints: this.angleConstraints.map(constraint => ({
+        a: nodeIndex.get(constraint.a),
+        b: nodeIndex.get(constraint.b),
+        c: nodeIndex.get(constraint.c),
+        mode: constraint.mode,
+        restDistance: constraint.restDistance,
+        minAngle: constraint.minAngle,
+        maxAngle: constraint.maxAngle,
+        stiffness: constraint.stiffness,
+        compliance: constraint.compliance
+      })),
+      pressureConstraints: this.pressureConstraints.map(constraint => ({
+        nodes: constraint.nodes.map(node => nodeIndex.get(node)),
+        restArea: constraint.restArea,
+        pressure: constraint.pressure,
+        stiffness: constraint.stiffness
+      })),
+      colliders: this.colliders.map(collider => collider.toJSON()),
+      // Explosions are over within a step or two and are not saved
+      forceFields: this.forceFields.filter(field => field.type !== 'explosion').map(field => field.toJSON())
+    };
+  }
+
+  loadJSON(data) {
+    if (!data || data.version !== Mesh.SCHEMA_VERSION) {
+      throw new Error(`Unsupported mesh schema version: ${data ? data.version : data}`);
+    }
+
+    this.configure(data.config || {});
+
+    const nodes = (data.nodes || []).map(n => {
+      const node = new Node(n.x, n.y, n.r, n.mass, n.pinned);
+      node.px = n.px;
+      node.py = n.py;
+      node.type = n.type || node.type;
+      node.gravityScale = n.gravityScale ?? node.gravityScale;
+      node.sticky = n.sticky || false;
+      node.stuck = n.stuck || false;
+      node.detachable = n.detachable || false;
+      return node;
+    });
+
+    const nodeAt = (index) => {
+      const node = nodes[index];
+      if (!node) throw new Error(`Invalid node reference: ${index}`);
+      return node;
+    };
+
+    const links = (data.links || []).map(l => {
+      const link = new Link(
+        nodeAt(l.a), nodeAt(l.b),
+        l.stiffness, 1.0,
+        l.breakStrain === null || l.breakStrain === undefined ? Infinity : l.breakStrain,
+        l.breakSteps || 1
+      );
+      link.rest = l.rest;
+      link.slack = l.slack || false;
+      link.compliance = l.compliance ?? null;
+      return link;
+    });
+
+    const angleConstraints = (data.angleConstraints || []).map(c => {
+      // Saves from before angle mode existed keep the distance solver
+      const constraint = new AngleConstraint(nodeAt(c.a), nodeAt(c.b), nodeAt(c.c), c.stiffness, {
+        mode: c.mode || 'distance',
+        minAngle: c.minAngle,
+        maxAngle: c.maxAngle,
+        compliance: c.compliance
+      });
+      constraint.restDistance = c.restDistance;
+      return constraint;
+    });
+
+    const pressureConstraints = (data.pressureConstraints || []).map(c => {
+      const constraint = new PressureConstraint(c.nodes.map(nodeAt), c.pressure, c.stiffness);
+      constraint.restArea = c.restArea;
+      return constraint;
+    });
+
+    this.nodes = nodes;
+    this.links = links;
+    this.angleConstraints = angleConstraints;
+    this.pressureConstraints = pressureConstraints;
+    this.mouseConstraints = [];
+    this.colliders = [];
+    for (const definition of data.colliders || []) {
+      this.createCollider(definition);
+    }
+    this.forceFields = [];
+    for (const definition of data.forceFields || []) {
+      this.createForceField(definition);
+    }
+    this._nodeGrid = new SpatialHash(this.cellSize);
+    this._linkGrid = new SpatialHash(this.cellSize);
+    this._indexDirty = true;
+    return this;
+  }
+
+  static fromJSON(data) {
+    return new Mesh(data && data.config).loadJSON(data);
+  }
+
   // ==================== PHYSICS SIMULATION ====================
 
   step(deltaTime = 1/60) {
+    const diagnostics = this.diagnostics;
+    const startTime = diagnostics ? Mesh.now() : 0;
+    const residuals = [];
+    this._crossingCorrections = 0;
+    this._groundContacts.clear();
+    this._emit('beforeStep', { deltaTime });
+
+    // Remember pre-step positions for render interpolation
+    for (const node of this.nodes) {
+      node.lastX = node.x;
+      node.lastY = node.y;
+    }
+
+    // Structures, for sleeping, the collision filters and level rules;
+    // islands with a woken or newly joined node wake entirely
+    this._updateIslands();
+    if (this.allowSleeping) {
+      this._wakeDisturbedIslands();
+    }
+
     // Apply gravity to all nodes
     for (const node of this.nodes) {
-      node.applyForce(this.gravity.x * node.mass, this.gravity.y * node.mass);
+      if (node.sleeping) continue;
+      node.applyForce(
+        this.gravity.x * node.mass * node.gravityScale,
+        this.gravity.y * node.mass * node.gravityScale
+      );
+    }
+
+    // Force fields; explosions drop out once their blast has faded
+    if (this.forceFields.length > 0) {
+      for (const field of this.forceFields) {
+        field.apply(this, deltaTime);
+      }
+      this.forceFields = this.forceFields.filter(field => !field.expired);
+    }
+
+    // Plugin forces
+    for (const generator of this.forceGenerators) {
+      generator.apply(this, deltaTime);
     }
 
     // Integrate physics (Verlet integration)
+    // (forces on sleeping nodes are dropped)
     for (const node of this.nodes) {
-      node.integrate(deltaTime, this.damping);
+      if (!node.sleeping) node.integrate(deltaTime, this.damping);
+      else node.ax = node.ay = 0;
+    }
+
+    // XPBD accumulates each constraint's multiplier over one step
+    const xpbd = this.solver === 'xpbd';
+    if (xpbd) {
+      for (const link of this.links) link.lambda = 0;
+      for (const constraint of this.angleConstraints) constraint.lambda = 0;
     }
 
     // Constraint solving iterations
     for (let iteration = 0; iteration < this.solverIterations; iteration++) {
       // Wall collisions (no floor)
       for (const node of this.nodes) {
-        this._applyWallBounds(node);
+        if (!node.sleeping) this._applyWallBounds(node);
       }
 
       // Ground collisions
       for (const node of this.nodes) {
-        this._applyGroundCollision(node);
+        if (!node.sleeping) this._applyGroundCollision(node);
+      }
+
+      // Static level geometry
+      if (this.colliders.length > 0) {
+        for (const node of this.nodes) {
+          if (!node.sleeping) this._applyColliders(node);
+        }
+      }
+
+      // Node contacts between separate structures
+      if (this.nodeCollisions) {
+        this._solveNodeCollisions();
+        this._solveNodeLinkCollisions();
       }
 
       // Prevent link crossings
       this._preventLinkCrossings();
 
-      // Distance constraints
+      // Distance constraints; a sleeping island sleeps as a whole, so
+      // one node tells for every constraint inside it
       for (const link of this.links) {
-        link.satisfy();
+        if (link.a.sleeping) continue;
+        if (xpbd) link.satisfyXPBD(link.compliance ?? this.linkCompliance, deltaTime);
+        else link.satisfy();
       }
 
       // Angle constraints
       for (const constraint of this.angleConstraints) {
+        if (constraint.b.sleeping) continue;
+        if (xpbd) constraint.satisfyXPBD(constraint.compliance ?? this.angleCompliance, deltaTime);
+        else constraint.satisfy();
+      }
+
+      // Enclosed areas
+      for (const constraint of this.pressureConstraints) {
+        if (!constraint.nodes[0].sleeping) constraint.satisfy();
+      }
+
+      // Plugin constraints
+      for (const constraint of this.customConstraints) {
+        constraint.satisfy(deltaTime, iteration);
+      }
+
+      // Pointer drags
+      for (const constraint of this.mouseConstraints) {
         constraint.satisfy();
       }
 
       // Prevent crossings again after constraint solving
       this._preventLinkCrossings();
+
+      if (diagnostics) residuals.push(this._constraintResidual());
+    }
+
+    // Break links that stayed past their strain threshold
+    this._breakOverstrainedLinks();
+
+    if (this.allowSleeping) {
+      this._updateSleep(deltaTime);
+    }
+
+    // Nodes moved, so queries until the next step need a fresh index
+    this._rebuildSpatialIndex();
+
+    this._emitGroundContacts(deltaTime);
+
+    if (diagnostics) {
+      this._collectDiagnostics(deltaTime, residuals, Mesh.now() - startTime);
     }
+    this._emit('afterStep', { deltaTime });
+  }
+
+  setDiagnostics(enabled) {
+    this.diagnostics = enabled;
+    if (!enabled) this.lastDiagnostics = null;
   }
 
   // ==================== PRIVATE METHODS ====================
 
+  // Nodes that reached the ground this step; sleeping nodes keep their state
+  _emitGroundContacts(deltaTime) {
+    for (const node of this.nodes) {
+      if (node.sleeping) continue;
+
+      const touching = this._groundContacts.has(node);
+      if (touching && !node.grounded) {
+        this._emit('groundContact', { node, speed: this._groundContacts.get(node) / deltaTime });
+      }
+      node.grounded = touching;
+    }
+  }
+
+  // { kineticEnergy, potentialEnergy, totalEnergy, momentum: { x, y },
+  //   residuals: [{ mean, max }] per solver iteration, crossingCorrections,
+  //   stepTime (ms) }
+  _collectDiagnostics(deltaTime, residuals, stepTime) {
+    const momentum = { x: 0, y: 0 };
+    for (const node of this.nodes) {
+      momentum.x += node.mass * (node.x - node.px) / deltaTime;
+      momentum.y += node.mass * (node.y - node.py) / deltaTime;
+    }
+
+    const kineticEnergy = this.getKineticEnergy(deltaTime);
+    const potentialEnergy = this.getPotentialEnergy();
+    this.lastDiagnostics = {
+      kineticEnergy,
+      potentialEnergy,
+      totalEnergy: kineticEnergy + potentialEnergy,
+      momentum,
+      residuals,
+      crossingCorrections: this._crossingCorrections,
+      stepTime
+    };
+    this._emit('diagnostics', this.lastDiagnostics);
+  }
+
+  // Relative error left in link lengths, angle and pressure constraints
+  _constraintResidual() {
+    let sum = 0, max = 0, count = 0;
+    const add = (error) => {
+      sum += error;
+      if (error > max) max = error;
+      count++;
+    };
+
+    for (const link of this.links) {
+      const strain = link.getStrain();
+      add(link.slack && strain < 0 ? 0 : Math.abs(strain));
+    }
+    for (const constraint of this.angleConstraints) {
+      add(Math.abs(constraint.getError()));
+    }
+    for (const constraint of this.pressureConstraints) {
+      add(Math.abs(constraint.getError()));
+    }
+
+    return { mean: count ? sum / count : 0, max };
+  }
+
+  _removeOrphans(candidates, removed) {
+    // Recursively remove orphaned nodes (less than 2 connections)
+    for (const node of candidates) {
+      if (!this.nodes.includes(node)) continue;
+      if (this.getConnectionCount(node) < 2) {
+        this._removeNode(node, removed, true);
+      }
+    }
+  }
+
+  _breakOverstrainedLinks() {
+    const broken = [];
+    for (const link of this.links) {
+      if (link.a.sleeping) continue;
+      const strain = link.getStrain();
+      link.overstrainSteps = strain > link.breakStrain ? link.overstrainSteps + 1 : 0;
+      if (link.overstrainSteps >= link.breakSteps) {
+        broken.push({ link, strain });
+      }
+    }
+
+    for (const { link, strain } of broken) {
+      // An earlier break may already have cascaded through this link
+      if (!this.links.includes(link)) continue;
+
+      this._severLink(link, { nodes: [], links: [], angleConstraints: [], pressureConstraints: [] }, true);
+      this._emit('linkBroken', { link, strain });
+    }
+  }
+
+  _severLink(link, removed, broken) {
+    this.links = this.links.filter(l => l !== link);
+    removed.links.push(link);
+    this._emit('linkRemoved', { link, broken });
+    this._wakeNear([], [link]);
+
+    // Angle constraints bending around the link lose their support
+    this.angleConstraints = this.angleConstraints.filter(constraint => {
+      const nodes = [constraint.a, constraint.b, constraint.c];
+      const supported = !(nodes.includes(link.a) && nodes.includes(link.b));
+      if (!supported) removed.angleConstraints.push(constraint);
+      return supported;
+    });
+
+    // A split loop can no longer hold pressure
+    this.pressureConstraints = this.pressureConstraints.filter(constraint => {
+      const closed = !constraint.hasEdge(link.a, link.b);
+      if (!closed) removed.pressureConstraints.push(constraint);
+      return closed;
+    });
+
+    this._removeOrphans([link.a, link.b], removed);
+    this._indexDirty = true;
+  }
+
   _applyWallBounds(node) {
-    if (node.pinned) return;
+    if (node.fixed) return;
 
     if (node.x < node.r) {
       node.x = node.r;
@@ -227,13 +1100,24 @@ class Mesh {
   }
 
   _applyGroundCollision(node) {
-    if (node.pinned) return;
+    if (node.fixed) return;
 
     const penetration = node.y - (this.groundY - node.r);
     if (penetration > 0) {
+      // First contact this step records the incoming speed (px/step)
+      if (!this._groundContacts.has(node)) {
+        this._groundContacts.set(node, Math.max(0, node.y - node.py));
+      }
+
       // Position correction
       node.y = this.groundY - node.r;
 
+      // Sticky goo anchors itself where it lands, unless held
+      if (node.sticky && !this._isGrabbed(node)) {
+        this._stick(node);
+        return;
+      }
+
       // Velocity from verlet integration
       let vx = node.x - node.px;
       let vy = node.y - node.py;
@@ -249,33 +1133,397 @@ class Mesh {
     }
   }
 
-  _preventLinkCrossings() {
-    for (let i = 0; i < this.links.length; i++) {
-      for (let j = i + 1; j < this.links.length; j++) {
-        const link1 = this.links[i];
-        const link2 = this.links[j];
+  _applyColliders(node) {
+    if (node.fixed) return;
 
-        // Skip if links share a node
-        if (link1.a === link2.a || link1.a === link2.b ||
-            link1.b === link2.a || link1.b === link2.b) continue;
+    for (const collider of this.colliders) {
+      const contact = collider.getContact(node.x, node.y, node.r);
+      if (!contact) continue;
 
-        const intersection = this._lineIntersection(
-          link1.a.x, link1.a.y, link1.b.x, link1.b.y,
-          link2.a.x, link2.a.y, link2.b.x, link2.b.y
-        );
+      // Position correction along the surface normal
+      const { nx, ny } = contact;
+      node.x += nx * contact.penetration;
+      node.y += ny * contact.penetration;
 
-        if (intersection) {
-          this._pushLinksApart(link1, link2, intersection);
-        }
+      if (node.sticky && !this._isGrabbed(node)) {
+        this._stick(node);
+        return;
+      }
+
+      // Same response as the ground, in the surface's own frame
+      const vx = node.x - node.px;
+      const vy = node.y - node.py;
+      const vn = vx * nx + vy * ny;
+      if (vn < 0) {
+        const vt = vx * -ny + vy * nx;
+        const vnAfter = -vn * this.groundRestitution;
+        const vtAfter = vt * this.friction;
+
+        node.px = node.x - (nx * vnAfter - ny * vtAfter);
+        node.py = node.y - (ny * vnAfter + nx * vtAfter);
       }
     }
   }
 
-  _pushLinksApart(link1, link2, intersection) {
-    const ix = intersection.x;
-    const iy = intersection.y;
+  _stick(node) {
+    node.stuck = true;
+    node.px = node.x;
+    node.py = node.y;
+  }
 
-    // Only apply force if intersection is not too close to any node
+  _isGrabbed(node) {
+    return this.mouseConstraints.some(constraint => constraint.node === node);
+  }
+
+  _preventLinkCrossings() {
+    if (this.broadphase === 'none') {
+      this._preventLinkCrossingsBruteForce();
+      return;
+    }
+
+    // Links moved since the last pass, so re-bucket them first
+    this._rebuildLinkGrid();
+
+    // Resolve in the same order as the brute-force loop
+    const count = this.links.length;
+    for (const key of this._collectPairs(this._linkGrid, count)) {
+      this._resolveLinkPair(this.links[Math.floor(key / count)], this.links[key % count]);
+    }
+  }
+
+  _preventLinkCrossingsBruteForce() {
+    for (let i = 0; i < this.links.length; i++) {
+      for (let j = i + 1; j < this.links.length; j++) {
+        this._resolveLinkPair(this.links[i], this.links[j]);
+      }
+    }
+  }
+
+  _resolveLinkPair(link1, link2) {
+    // Skip if links share a node
+    if (link1.a === link2.a || link1.a === link2.b ||
+        link1.b === link2.a || link1.b === link2.b) return;
+    if (link1.a.sleeping && link2.a.sleeping) return;
+
+    const intersection = this._lineIntersection(
+      link1.a.x, link1.a.y, link1.b.x, link1.b.y,
+      link2.a.x, link2.a.y, link2.b.x, link2.b.y
+    );
+
+    if (intersection) {
+      this._wakeOnContact(link1.a, link2.a);
+      this._pushLinksApart(link1, link2, intersection);
+    }
+  }
+
+  // ==================== ISLANDS AND SLEEPING ====================
+
+  // Nodes grouped into structures joined by links (arrays of nodes)
+  getIslands() {
+    this._updateIslands();
+    return this.islands;
+  }
+
+  // Wake the island a node belonged to at the last step
+  wake(node) {
+    const island = this.islands[node.island];
+    this._disturb(island && island.includes(node) ? island : [node]);
+  }
+
+  wakeAll() {
+    this._disturb(this.nodes);
+  }
+
+  getSleepingNodeCount() {
+    return this.nodes.filter(node => node.sleeping).length;
+  }
+
+  // Also records directly linked pairs for the contact filters
+  _updateIslands() {
+    const count = this.nodes.length;
+    const index = new Map(this.nodes.map((node, i) => [node, i]));
+
+    // Union-find over links: nodes sharing a root belong to one structure
+    const parent = this.nodes.map((node, i) => i);
+    const find = (i) => {
+      while (parent[i] !== i) {
+        parent[i] = parent[parent[i]];
+        i = parent[i];
+      }
+      return i;
+    };
+
+    this._linkedPairs = new Set();
+    for (const link of this.links) {
+      const i = index.get(link.a), j = index.get(link.b);
+      parent[find(i)] = find(j);
+      this._linkedPairs.add(Math.min(i, j) * count + Math.max(i, j));
+    }
+
+    const islandOfRoot = new Map();
+    this.islands = [];
+    this.nodes.forEach((node, i) => {
+      const root = find(i);
+      if (!islandOfRoot.has(root)) {
+        islandOfRoot.set(root, this.islands.length);
+        this.islands.push([]);
+      }
+      node.island = islandOfRoot.get(root);
+      this.islands[node.island].push(node);
+    });
+  }
+
+  // Islands with any awake node, or a node held by the pointer, wake whole
+  _wakeDisturbedIslands() {
+    for (const constraint of this.mouseConstraints) {
+      this._disturb([constraint.node]);
+    }
+    for (const island of this.islands) {
+      if (island.some(node => node.sleeping) && island.some(node => !node.sleeping)) {
+        this._disturb(island);
+      }
+    }
+  }
+
+  // An island that is moving wakes a sleeping island it touches; one that
+  // is already slowing to rest just leans on it (sleeping nodes don't move)
+  _wakeOnContact(a, b) {
+    if (a.sleeping && !b.sleeping && b.idleTime === 0) this.wake(a);
+    else if (b.sleeping && !a.sleeping && a.idleTime === 0) this.wake(b);
+  }
+
+  _updateSleep(deltaTime) {
+    const limit = this.sleepSpeed * deltaTime;
+    for (const island of this.islands) {
+      if (island[0].sleeping) continue;
+
+      const resting = island.every(node => Math.hypot(node.x - node.px, node.y - node.py) < limit);
+      for (const node of island) {
+        node.idleTime = resting ? node.idleTime + deltaTime : 0;
+      }
+
+      if (resting && island.every(node => node.idleTime >= this.sleepTime)) {
+        for (const node of island) {
+          node.sleeping = true;
+          node.px = node.x;
+          node.py = node.y;
+        }
+      }
+    }
+  }
+
+  // Sleepers resting on removed nodes or links lose their support: wake
+  // any node or link within contact range, with a node radius of slack
+  _wakeNear(nodes, links) {
+    const slack = this.defaultNodeRadius;
+    const nearLink = (node, link) => {
+      const closest = closestPointOnSegment(node.x, node.y, link.a.x, link.a.y, link.b.x, link.b.y);
+      return Math.hypot(node.x - closest.x, node.y - closest.y) <= node.r + slack;
+    };
+
+    for (const sleeper of this.nodes) {
+      if (!sleeper.sleeping) continue;
+      const touching = links.some(link => nearLink(sleeper, link)) || nodes.some(node =>
+        Math.hypot(sleeper.x - node.x, sleeper.y - node.y) <= sleeper.r + node.r + slack
+      );
+      if (touching) this._disturb([sleeper]);
+    }
+
+    for (const link of this.links) {
+      if (link.a.sleeping && link.b.sleeping && nodes.some(node => nearLink(node, link))) {
+        this._disturb([link.a, link.b]);
+      }
+    }
+  }
+
+  _disturb(nodes) {
+    for (const node of nodes) {
+      node.sleeping = false;
+      node.idleTime = 0;
+    }
+  }
+
+  // ==================== CONTACTS ====================
+
+  _solveNodeCollisions() {
+    const count = this.nodes.length;
+    let pairs;
+
+    if (this.broadphase === 'none') {
+      pairs = [];
+      for (let i = 0; i < count; i++) {
+        for (let j = i + 1; j < count; j++) pairs.push(i * count + j);
+      }
+    } else {
+      this._rebuildNodeGrid();
+      pairs = this._collectPairs(this._nodeGrid, count);
+    }
+
+    for (const key of pairs) {
+      // Linked neighbours are held apart by their link already
+      if (this._linkedPairs.has(key)) continue;
+      this._collideNodes(this.nodes[Math.floor(key / count)], this.nodes[key % count]);
+    }
+  }
+
+  _solveNodeLinkCollisions() {
+    for (const link of this.links) {
+      let candidates = this.nodes;
+      if (this.broadphase !== 'none') {
+        candidates = this._nodeGrid.query(
+          Math.min(link.a.x, link.b.x), Math.min(link.a.y, link.b.y),
+          Math.max(link.a.x, link.b.x), Math.max(link.a.y, link.b.y)
+        ).map(index => this.nodes[index]);
+      }
+
+      for (const node of candidates) {
+        // Only nodes of other structures; a structure's own links keep it in shape
+        if (node.island === link.a.island) continue;
+        this._collideNodeWithLink(node, link);
+      }
+    }
+  }
+
+  _collideNodes(a, b) {
+    if (a.sleeping && b.sleeping) return;
+
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const minDist = a.r + b.r;
+    const distSq = dx * dx + dy * dy;
+    if (distSq >= minDist * minDist) return;
+    this._wakeOnContact(a, b);
+
+    const wa = a.inverseMass(), wb = b.inverseMass();
+    const w = wa + wb;
+    if (w === 0) return;
+
+    // Coincident centres get pushed apart vertically
+    const dist = Math.sqrt(distSq);
+    const nx = dist > 1e-6 ? dx / dist : 0;
+    const ny = dist > 1e-6 ? dy / dist : 1;
+
+    // Heavier nodes move less
+    const penetration = minDist - dist;
+    a.x -= nx * penetration * wa / w;
+    a.y -= ny * penetration * wa / w;
+    b.x += nx * penetration * wb / w;
+    b.y += ny * penetration * wb / w;
+
+    // Tangential friction on the relative velocity
+    const vt = ((b.x - b.px) - (a.x - a.px)) * -ny + ((b.y - b.py) - (a.y - a.py)) * nx;
+    const dv = vt * this._contactFrictionLoss();
+    a.px -= -ny * dv * wa / w;
+    a.py -= nx * dv * wa / w;
+    b.px += -ny * dv * wb / w;
+    b.py += nx * dv * wb / w;
+  }
+
+  _collideNodeWithLink(node, link) {
+    if (node.sleeping && link.a.sleeping) return;
+
+    const ax = link.a.x, ay = link.a.y;
+    const abx = link.b.x - ax, aby = link.b.y - ay;
+    const lenSq = abx * abx + aby * aby || 1e-6;
+
+    // Closest point on the link to the node centre
+    const t = Math.max(0, Math.min(1, ((node.x - ax) * abx + (node.y - ay) * aby) / lenSq));
+    const cx = ax + abx * t, cy = ay + aby * t;
+    const dx = node.x - cx, dy = node.y - cy;
+    const dist = Math.hypot(dx, dy);
+    if (dist >= node.r) return;
+    this._wakeOnContact(node, link.a);
+
+    // A centre exactly on the link is pushed out along the link's normal
+    const len = Math.sqrt(lenSq);
+    const nx = dist > 1e-6 ? dx / dist : -aby / len;
+    const ny = dist > 1e-6 ? dy / dist : abx / len;
+
+    // Endpoints share the push by how close the contact is to each
+    const wn = node.inverseMass();
+    const wa = link.a.inverseMass() * (1 - t);
+    const wb = link.b.inverseMass() * t;
+    const w = wn + wa * (1 - t) + wb * t;
+    if (w === 0) return;
+
+    const lambda = (node.r - dist) / w;
+    node.x += nx * lambda * wn;
+    node.y += ny * lambda * wn;
+    link.a.x -= nx * lambda * wa;
+    link.a.y -= ny * lambda * wa;
+    link.b.x -= nx * lambda * wb;
+    link.b.y -= ny * lambda * wb;
+
+    // Friction against the velocity of the contact point on the link
+    const lvx = (link.a.x - link.a.px) * (1 - t) + (link.b.x - link.b.px) * t;
+    const lvy = (link.a.y - link.a.py) * (1 - t) + (link.b.y - link.b.py) * t;
+    const vt = ((node.x - node.px) - lvx) * -ny + ((node.y - node.py) - lvy) * nx;
+    const dv = vt * this._contactFrictionLoss() / w;
+    node.px += -ny * dv * wn;
+    node.py += nx * dv * wn;
+    link.a.px -= -ny * dv * wa;
+    link.a.py -= nx * dv * wa;
+    link.b.px -= -ny * dv * wb;
+    link.b.py -= nx * dv * wb;
+  }
+
+  // Contacts are revisited every solver iteration, so split the tangential
+  // loss implied by `friction` across them
+  _contactFrictionLoss() {
+    return (1 - this.friction) / this.solverIterations;
+  }
+
+  // ==================== SPATIAL INDEX ====================
+
+  _ensureSpatialIndex() {
+    if (this._indexDirty) this._rebuildSpatialIndex();
+  }
+
+  _rebuildSpatialIndex() {
+    this._rebuildNodeGrid();
+    this._rebuildLinkGrid();
+    this._indexDirty = false;
+  }
+
+  // Nodes are bucketed by their circle's bounding box
+  _rebuildNodeGrid() {
+    this._nodeGrid.clear();
+
+    this.nodes.forEach((node, i) => {
+      this._nodeGrid.insert(i, node.x - node.r, node.y - node.r, node.x + node.r, node.y + node.r);
+    });
+  }
+
+  _rebuildLinkGrid() {
+    this._linkGrid.clear();
+
+    this.links.forEach((link, i) => {
+      this._linkGrid.insert(
+        i,
+        Math.min(link.a.x, link.b.x), Math.min(link.a.y, link.b.y),
+        Math.max(link.a.x, link.b.x), Math.max(link.a.y, link.b.y)
+      );
+    });
+  }
+
+  // Every pair of ids sharing a cell, once, as ascending keys i * count + j
+  _collectPairs(grid, count) {
+    const pairs = new Set();
+    for (const bucket of grid.buckets()) {
+      for (let m = 0; m < bucket.length; m++) {
+        for (let n = m + 1; n < bucket.length; n++) {
+          pairs.add(bucket[m] * count + bucket[n]);
+        }
+      }
+    }
+    return Array.from(pairs).sort((p, q) => p - q);
+  }
+
+  _pushLinksApart(link1, link2, intersection) {
+    const ix = intersection.x;
+    const iy = intersection.y;
+
+    // Only apply force if intersection is not too close to any node
     const minDistToNode = Math.min(
       Math.hypot(link1.a.x - ix, link1.a.y - iy),
       Math.hypot(link1.b.x - ix, link1.b.y - iy),
@@ -285,19 +1533,25 @@ class Mesh {
 
     if (minDistToNode > this.defaultNodeRadius) {
       const pushStrength = 0.3;
+      const nodes = [link1.a, link1.b, link2.a, link2.b];
+
+      // XPBD shares the same total push by inverse mass
+      let strengths = nodes.map(() => pushStrength);
+      if (this.solver === 'xpbd') {
+        const weights = nodes.map(node => node.inverseMass());
+        const total = weights.reduce((sum, w) => sum + w, 0);
+        if (total === 0) return;
+        strengths = weights.map(w => pushStrength * nodes.length * w / total);
+      }
 
-      // Push link1 nodes away from intersection
-      this._pushNodeFromPoint(link1.a, ix, iy, pushStrength);
-      this._pushNodeFromPoint(link1.b, ix, iy, pushStrength);
-
-      // Push link2 nodes away from intersection
-      this._pushNodeFromPoint(link2.a, ix, iy, pushStrength);
-      this._pushNodeFromPoint(link2.b, ix, iy, pushStrength);
+      // Push both links' nodes away from the intersection
+      this._crossingCorrections++;
+      nodes.forEach((node, i) => this._pushNodeFromPoint(node, ix, iy, strengths[i]));
     }
   }
 
   _pushNodeFromPoint(node, px, py, strength) {
-    if (node.pinned) return;
+    if (node.fixed || node.sleeping) return;
 
     const dx = node.x - px;
     const dy = node.y - py;
@@ -330,6 +1584,21 @@ class Mesh {
   getNodes() { return this.nodes; }
   getLinks() { return this.links; }
   getAngleConstraints() { return this.angleConstraints; }
+  getPressureConstraints() { return this.pressureConstraints; }
+  getColliders() { return this.colliders; }
+  getForceFields() { return this.forceFields; }
+
+  // Remove every node, link, constraint, collider and force field
+  clear() {
+    this.nodes = [];
+    this.links = [];
+    this.angleConstraints = [];
+    this.pressureConstraints = [];
+    this.colliders = [];
+    this.forceFields = [];
+    this.mouseConstraints = [];
+    this._indexDirty = true;
+  }
 
   setBounds(width, height) {
     this.bounds.width = width;
@@ -339,17 +1608,71 @@ class Mesh {
   setGroundY(y) {
     this.groundY = y;
   }
+
+  // Kinetic energy of the Verlet velocities over the last step of length dt
+  getKineticEnergy(deltaTime = 1/60) {
+    let energy = 0;
+    for (const node of this.nodes) {
+      const vx = (node.x - node.px) / deltaTime;
+      const vy = (node.y - node.py) / deltaTime;
+      energy += 0.5 * node.mass * (vx * vx + vy * vy);
+    }
+    return energy;
+  }
+
+  // Gravitational potential energy, zero at the ground line
+  getPotentialEnergy() {
+    let energy = 0;
+    for (const node of this.nodes) {
+      const height = this.groundY - node.y;
+      energy += node.mass * node.gravityScale * (height * this.gravity.y - node.x * this.gravity.x);
+    }
+    return energy;
+  }
 }
 
+// Bump whenever the toJSON() layout changes incompatibly
+Mesh.SCHEMA_VERSION = 1;
+
+// Millisecond clock for step timing, in browsers and Node
+Mesh.now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+
 // ==================== PHYSICS CLASSES ====================
 
 class Node {
   constructor(x, y, r = 8, mass = 15, pinned = false) {
     this.x = x; this.y = y;
     this.px = x; this.py = y;
+    this.lastX = x; this.lastY = y;
     this.ax = 0; this.ay = 0;
     this.r = r; this.mass = mass;
     this.pinned = pinned;
+
+    // Goo type: id for rendering plus the physical traits it implies
+    this.type = 'standard';
+    this.gravityScale = 1;
+    this.sticky = false;
+    this.detachable = false;
+
+    // Sticky goo holds still where it landed; kept apart from user pins
+    this.stuck = false;
+
+    // Set on every node of an island at rest (see Mesh allowSleeping)
+    this.sleeping = false;
+    this.idleTime = 0;
+
+    // Touched the ground during the last step
+    this.grounded = false;
+  }
+
+  // Pinned or stuck: held in place by the solver
+  get fixed() {
+    return this.pinned || this.stuck;
+  }
+
+  // Fixed and sleeping nodes don't move
+  inverseMass() {
+    return this.fixed || this.sleeping ? 0 : 1 / this.mass;
   }
 
   applyForce(fx, fy) {
@@ -358,7 +1681,7 @@ class Node {
   }
 
   integrate(dt, damping = 0.995) {
-    if (this.pinned) {
+    if (this.fixed) {
       this.px = this.x;
       this.py = this.y;
       this.ax = this.ay = 0;
@@ -381,13 +1704,31 @@ class Node {
 }
 
 class Link {
-  constructor(a, b, stiffness = 0.25, restMultiplier = 0.95) {
+  constructor(a, b, stiffness = 0.25, restMultiplier = 0.95, breakStrain = Infinity, breakSteps = 1) {
     this.a = a;
     this.b = b;
     const dx = b.x - a.x;
     const dy = b.y - a.y;
     this.rest = Math.hypot(dx, dy) * restMultiplier;
     this.stiffness = stiffness;
+
+    // Breaking: strain must exceed breakStrain for breakSteps consecutive steps
+    this.breakStrain = breakStrain;
+    this.breakSteps = breakSteps;
+    this.overstrainSteps = 0;
+
+    // Slack links (rope) only resist stretching
+    this.slack = false;
+
+    // XPBD: own compliance (null = the mesh's linkCompliance) and the
+    // multiplier accumulated during the current step
+    this.compliance = null;
+    this.lambda = 0;
+  }
+
+  getStrain() {
+    const d = Math.hypot(this.b.x - this.a.x, this.b.y - this.a.y);
+    return (d - this.rest) / (this.rest || 1e-6);
   }
 
   satisfy() {
@@ -395,29 +1736,138 @@ class Link {
     const bx = this.b.x, by = this.b.y;
     const dx = bx - ax, dy = by - ay;
     const d = Math.hypot(dx, dy) || 1e-6;
+    if (this.slack && d < this.rest) return;
     const diff = (d - this.rest) / d;
 
     const factor = 0.5 * this.stiffness;
     const ox = dx * diff * factor;
     const oy = dy * diff * factor;
 
-    if (!this.a.pinned) { this.a.x += ox; this.a.y += oy; }
-    if (!this.b.pinned) { this.b.x -= ox; this.b.y -= oy; }
+    if (!this.a.fixed) { this.a.x += ox; this.a.y += oy; }
+    if (!this.b.fixed) { this.b.x -= ox; this.b.y -= oy; }
+  }
+
+  satisfyXPBD(compliance, deltaTime) {
+    const dx = this.b.x - this.a.x, dy = this.b.y - this.a.y;
+    const d = Math.hypot(dx, dy) || 1e-6;
+    if (this.slack && d < this.rest) return;
+
+    this.lambda += xpbdCorrect(
+      [this.a, this.b], [-dx / d, -dy / d, dx / d, dy / d],
+      d - this.rest, this.lambda, compliance / (deltaTime * deltaTime)
+    );
   }
 }
 
+// One XPBD update of a scalar constraint with value `error` and per-node
+// gradients [gx0, gy0, gx1, gy1, ...]; returns the multiplier change.
+// alpha = compliance / dt^2; with alpha and lambda 0 this is plain PBD
+function xpbdCorrect(nodes, gradients, error, lambda, alpha, scale = 1) {
+  let weight = alpha;
+  const inverseMasses = nodes.map((node, i) => {
+    const w = node.inverseMass();
+    weight += w * (gradients[i * 2] ** 2 + gradients[i * 2 + 1] ** 2);
+    return w;
+  });
+  if (weight < 1e-12) return 0;
+
+  const deltaLambda = (-error - alpha * lambda) / weight * scale;
+  nodes.forEach((node, i) => {
+    node.x += gradients[i * 2] * deltaLambda * inverseMasses[i];
+    node.y += gradients[i * 2 + 1] * deltaLambda * inverseMasses[i];
+  });
+  return deltaLambda;
+}
+
+// Holds the bend at center node b. 'angle' mode keeps the signed angle
+// from a to c around b within [minAngle, maxAngle] (radians, rest angle by
+// default), moving all three nodes by inverse mass. 'distance' mode is the
+// original solver, which only keeps a and c apart
 class AngleConstraint {
-  constructor(a, b, c, stiffness = 0.8) {
+  constructor(a, b, c, stiffness = 0.8, options = {}) {
     this.a = a; this.b = b; this.c = c; // b is the center node
     this.stiffness = stiffness;
+    this.mode = options.mode || 'angle';
+
+    // XPBD: own compliance (null = the mesh's angleCompliance) and multiplier
+    this.compliance = options.compliance ?? null;
+    this.lambda = 0;
 
     // Calculate initial distance between outer nodes
     const dx = c.x - a.x;
     const dy = c.y - a.y;
     this.restDistance = Math.hypot(dx, dy);
+
+    const restAngle = this.getAngle();
+    this.minAngle = options.minAngle ?? restAngle;
+    this.maxAngle = options.maxAngle ?? restAngle;
+  }
+
+  // Signed angle from b->a to b->c in (-PI, PI]; mirror images differ in sign
+  getAngle() {
+    const ux = this.a.x - this.b.x, uy = this.a.y - this.b.y;
+    const vx = this.c.x - this.b.x, vy = this.c.y - this.b.y;
+    return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  }
+
+  // Radians outside the allowed range in 'angle' mode, relative deviation
+  // of the outer-node distance from rest in 'distance' mode
+  getError() {
+    if (this.mode === 'distance') {
+      const d = Math.hypot(this.c.x - this.a.x, this.c.y - this.a.y);
+      return (d - this.restDistance) / (this.restDistance || 1e-6);
+    }
+
+    // Measured from the middle of the range so the error wraps the short way round
+    const half = (this.maxAngle - this.minAngle) / 2;
+    const offset = AngleConstraint.wrapAngle(this.getAngle() - (this.minAngle + half));
+    if (offset > half) return offset - half;
+    if (offset < -half) return offset + half;
+    return 0;
   }
 
   satisfy() {
+    if (this.mode === 'distance') {
+      this._satisfyDistance();
+      return;
+    }
+
+    const error = this.getError();
+    if (error === 0) return;
+    xpbdCorrect([this.a, this.b, this.c], this._angleGradients(), error, 0, 0, this.stiffness);
+  }
+
+  satisfyXPBD(compliance, deltaTime) {
+    const alpha = compliance / (deltaTime * deltaTime);
+
+    if (this.mode === 'distance') {
+      const dx = this.c.x - this.a.x, dy = this.c.y - this.a.y;
+      const d = Math.hypot(dx, dy) || 1e-6;
+      this.lambda += xpbdCorrect([this.a, this.c], [-dx / d, -dy / d, dx / d, dy / d],
+        d - this.restDistance, this.lambda, alpha);
+      return;
+    }
+
+    // Inside the allowed range the limit is inactive
+    const error = this.getError();
+    if (error === 0) return;
+    this.lambda += xpbdCorrect([this.a, this.b, this.c], this._angleGradients(), error, this.lambda, alpha);
+  }
+
+  // Outer nodes move perpendicular to their arm, the center node takes the
+  // opposite of both; degenerate arms give no gradient
+  _angleGradients() {
+    const ux = this.a.x - this.b.x, uy = this.a.y - this.b.y;
+    const vx = this.c.x - this.b.x, vy = this.c.y - this.b.y;
+    const uu = ux * ux + uy * uy, vv = vx * vx + vy * vy;
+    if (uu < 1e-9 || vv < 1e-9) return [0, 0, 0, 0, 0, 0];
+
+    const gax = uy / uu, gay = -ux / uu;
+    const gcx = -vy / vv, gcy = vx / vv;
+    return [gax, gay, -gax - gcx, -gay - gcy, gcx, gcy];
+  }
+
+  _satisfyDistance() {
     // Maintain distance between outer nodes to prevent bending
     const dx = this.c.x - this.a.x;
     const dy = this.c.y - this.a.y;
@@ -430,16 +1880,562 @@ class AngleConstraint {
     const correctionY = dy * correction;
 
     // Only apply if both outer nodes are free
-    if (!this.a.pinned && !this.c.pinned) {
+    if (!this.a.fixed && !this.c.fixed) {
       this.a.x += correctionX * 0.5;
       this.a.y += correctionY * 0.5;
       this.c.x -= correctionX * 0.5;
       this.c.y -= correctionY * 0.5;
     }
   }
+
+  static wrapAngle(angle) {
+    return angle - Math.PI * 2 * Math.floor((angle + Math.PI) / (Math.PI * 2));
+  }
+}
+
+// Keeps the area enclosed by a closed loop of nodes near restArea * pressure,
+// so a ring of links holds its shape like an inflated balloon
+class PressureConstraint {
+  constructor(nodes, pressure = 1, stiffness = 0.5) {
+    this.nodes = nodes; // in loop order, either winding
+    this.pressure = pressure;
+    this.stiffness = stiffness;
+    this.restArea = this.getArea();
+  }
+
+  get targetArea() {
+    return this.restArea * this.pressure;
+  }
+
+  // Signed shoelace area; the sign follows the winding order
+  getArea() {
+    let area = 0;
+    const count = this.nodes.length;
+    for (let i = 0; i < count; i++) {
+      const a = this.nodes[i], b = this.nodes[(i + 1) % count];
+      area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+  }
+
+  // Relative deviation of the enclosed area from its target
+  getError() {
+    const target = this.targetArea;
+    return (this.getArea() - target) / (Math.abs(target) || 1e-6);
+  }
+
+  // Whether a and b are neighbours around the loop
+  hasEdge(a, b) {
+    const count = this.nodes.length;
+    const i = this.nodes.indexOf(a);
+    return i !== -1 && (this.nodes[(i + 1) % count] === b || this.nodes[(i + count - 1) % count] === b);
+  }
+
+  satisfy() {
+    // Move every free node along the area gradient, the outward normal of
+    // its two neighbours, just enough to close the gap to the target area
+    const nodes = this.nodes;
+    const count = nodes.length;
+    if (count < 3) return;
+
+    const gradients = [];
+    let weight = 0;
+    for (let i = 0; i < count; i++) {
+      const prev = nodes[(i + count - 1) % count], next = nodes[(i + 1) % count];
+      const gx = (next.y - prev.y) / 2, gy = (prev.x - next.x) / 2;
+      gradients.push(gx, gy);
+      if (!nodes[i].fixed) weight += gx * gx + gy * gy;
+    }
+    if (weight < 1e-9) return;
+
+    const scale = (this.targetArea - this.getArea()) / weight * this.stiffness;
+    for (let i = 0; i < count; i++) {
+      const node = nodes[i];
+      if (node.fixed) continue;
+      node.x += gradients[i * 2] * scale;
+      node.y += gradients[i * 2 + 1] * scale;
+    }
+  }
+}
+
+// Pulls a node toward a target point; the node's Verlet velocity carries
+// the drag motion, so it keeps its throw when the constraint is removed
+class MouseConstraint {
+  constructor(node, x, y, stiffness = 0.3) {
+    this.node = node;
+    this.x = x; this.y = y;
+    this.stiffness = stiffness;
+  }
+
+  setTarget(x, y) {
+    this.x = x;
+    this.y = y;
+  }
+
+  satisfy() {
+    const node = this.node;
+
+    // Pinned nodes are carried rigidly, without picking up velocity
+    if (node.fixed) {
+      node.x = node.px = this.x;
+      node.y = node.py = this.y;
+      return;
+    }
+
+    node.x += (this.x - node.x) * this.stiffness;
+    node.y += (this.y - node.y) * this.stiffness;
+  }
+}
+
+// ==================== STATIC COLLIDERS ====================
+// getContact() returns the outward normal and penetration depth for a
+// circle of radius r at (x, y), or null when they do not touch
+
+// Convex polygon; points may wind either way
+class PolygonCollider {
+  constructor(points) {
+    this.type = 'polygon';
+    this.points = points.map(p => ({ x: p.x, y: p.y }));
+
+    const cx = this.points.reduce((sum, p) => sum + p.x, 0) / this.points.length;
+    const cy = this.points.reduce((sum, p) => sum + p.y, 0) / this.points.length;
+
+    // Outward unit normal per edge (edge i runs from point i to point i + 1)
+    this.normals = this.points.map((p, i) => {
+      const q = this.points[(i + 1) % this.points.length];
+      const len = Math.hypot(q.x - p.x, q.y - p.y) || 1e-6;
+      let nx = (q.y - p.y) / len;
+      let ny = -(q.x - p.x) / len;
+      if (((p.x + q.x) / 2 - cx) * nx + ((p.y + q.y) / 2 - cy) * ny < 0) {
+        nx = -nx;
+        ny = -ny;
+      }
+      return { x: nx, y: ny };
+    });
+  }
+
+  getContact(x, y, r) {
+    // Signed distance to the nearest edge plane
+    let maxDist = -Infinity, maxEdge = 0;
+    this.normals.forEach((n, i) => {
+      const d = (x - this.points[i].x) * n.x + (y - this.points[i].y) * n.y;
+      if (d > maxDist) {
+        maxDist = d;
+        maxEdge = i;
+      }
+    });
+    if (maxDist >= r) return null;
+
+    // Centre inside: push out through the closest edge
+    if (maxDist <= 0) {
+      const n = this.normals[maxEdge];
+      return { nx: n.x, ny: n.y, penetration: r - maxDist };
+    }
+
+    // Centre outside but close: push away from the closest boundary point
+    let best = null;
+    this.points.forEach((p, i) => {
+      const q = this.points[(i + 1) % this.points.length];
+      const closest = closestPointOnSegment(x, y, p.x, p.y, q.x, q.y);
+      const dist = Math.hypot(x - closest.x, y - closest.y);
+      if (!best || dist < best.dist) best = { dist, closest };
+    });
+    if (best.dist >= r || best.dist < 1e-6) return null;
+
+    return {
+      nx: (x - best.closest.x) / best.dist,
+      ny: (y - best.closest.y) / best.dist,
+      penetration: r - best.dist
+    };
+  }
+
+  toJSON() {
+    return { type: 'polygon', points: this.points.map(p => [p.x, p.y]) };
+  }
+}
+
+// Two-sided line segment, for slopes and thin platforms
+class SegmentCollider {
+  constructor(x1, y1, x2, y2) {
+    this.type = 'segment';
+    this.x1 = x1; this.y1 = y1;
+    this.x2 = x2; this.y2 = y2;
+  }
+
+  getContact(x, y, r) {
+    const closest = closestPointOnSegment(x, y, this.x1, this.y1, this.x2, this.y2);
+    const dx = x - closest.x, dy = y - closest.y;
+    const dist = Math.hypot(dx, dy);
+    if (dist >= r) return null;
+
+    // A centre exactly on the segment is pushed to its upper side
+    if (dist < 1e-6) {
+      const len = Math.hypot(this.x2 - this.x1, this.y2 - this.y1) || 1e-6;
+      let nx = (this.y2 - this.y1) / len, ny = -(this.x2 - this.x1) / len;
+      if (ny > 0) { nx = -nx; ny = -ny; }
+      return { nx, ny, penetration: r };
+    }
+
+    return { nx: dx / dist, ny: dy / dist, penetration: r - dist };
+  }
+
+  toJSON() {
+    return { type: 'segment', from: [this.x1, this.y1], to: [this.x2, this.y2] };
+  }
+}
+
+class CircleCollider {
+  constructor(x, y, radius) {
+    this.type = 'circle';
+    this.x = x; this.y = y;
+    this.radius = radius;
+  }
+
+  getContact(x, y, r) {
+    const dx = x - this.x, dy = y - this.y;
+    const dist = Math.hypot(dx, dy);
+    if (dist >= this.radius + r) return null;
+    if (dist < 1e-6) return { nx: 0, ny: -1, penetration: this.radius + r };
+
+    return { nx: dx / dist, ny: dy / dist, penetration: this.radius + r - dist };
+  }
+
+  toJSON() {
+    return { type: 'circle', center: [this.x, this.y], radius: this.radius };
+  }
+}
+
+function closestPointOnSegment(px, py, ax, ay, bx, by) {
+  const abx = bx - ax, aby = by - ay;
+  const lenSq = abx * abx + aby * aby;
+  const t = lenSq > 0 ? Math.max(0, Math.min(1, ((px - ax) * abx + (py - ay) * aby) / lenSq)) : 0;
+  return { x: ax + abx * t, y: ay + aby * t };
+}
+
+// ==================== FORCE FIELDS ====================
+// apply(mesh, deltaTime) runs once per step before integration. Strengths
+// are accelerations in px/s^2 like gravity, so heavy and light goo drift
+// alike. Rectangular areas are centred on (x, y); width and height default
+// to Infinity (everywhere), stored as null in JSON
+
+function inFieldArea(field, node) {
+  return Math.abs(node.x - field.x) <= field.width / 2 && Math.abs(node.y - field.y) <= field.height / 2;
+}
+
+function finiteOrNull(value) {
+  return isFinite(value) ? value : null;
+}
+
+// Steady push along `direction` (radians) that swells and fades with
+// `gust` (0-1) over `gustPeriod` seconds and swirls by up to `turbulence`
+// radians across space and time. Deterministic, so replays match
+class WindField {
+  constructor(options = {}) {
+    this.type = 'wind';
+    this.x = options.x || 0;
+    this.y = options.y || 0;
+    this.width = options.width ?? Infinity;
+    this.height = options.height ?? Infinity;
+    this.direction = options.direction || 0;
+    this.strength = options.strength ?? 200;
+    this.gust = options.gust || 0;
+    this.gustPeriod = options.gustPeriod || 3;
+    this.turbulence = options.turbulence || 0;
+    this.time = options.time || 0;
+  }
+
+  // Wind speed multiplier at the current time
+  getGustFactor() {
+    return 1 + this.gust * Math.sin(this.time * Math.PI * 2 / this.gustPeriod);
+  }
+
+  apply(mesh, deltaTime) {
+    this.time += deltaTime;
+    const gust = this.getGustFactor();
+    const changing = this.gust > 0 || this.turbulence > 0;
+
+    for (const node of mesh.nodes) {
+      if (node.fixed || !inFieldArea(this, node)) continue;
+
+      // A steady wind lets structures settle in it; a changing one keeps them awake
+      if (node.sleeping) {
+        if (!changing) continue;
+        mesh.wake(node);
+      }
+
+      const swirl = Math.sin(node.x * 0.013 + this.time * 1.7) * Math.cos(node.y * 0.011 - this.time * 1.3);
+      const angle = this.direction + swirl * this.turbulence;
+      const acceleration = this.strength * gust * (1 + swirl * this.turbulence * 0.5);
+      node.applyForce(Math.cos(angle) * acceleration * node.mass, Math.sin(angle) * acceleration * node.mass);
+    }
+  }
+
+  toJSON() {
+    return {
+      type: 'wind', x: this.x, y: this.y,
+      width: finiteOrNull(this.width), height: finiteOrNull(this.height),
+      direction: this.direction, strength: this.strength,
+      gust: this.gust, gustPeriod: this.gustPeriod, turbulence: this.turbulence,
+      time: this.time
+    };
+  }
+}
+
+// Pulls nodes within `radius` toward (x, y), or pushes them away when
+// strength is negative. falloff: 'none', 'linear' or 'quadratic' to zero
+// at the edge
+class RadialField {
+  constructor(options = {}) {
+    this.type = 'radial';
+    this.x = options.x || 0;
+    this.y = options.y || 0;
+    this.radius = options.radius || 250;
+    this.strength = options.strength ?? 400;
+    this.falloff = options.falloff || 'linear';
+  }
+
+  getStrengthAt(distance) {
+    if (distance >= this.radius) return 0;
+    const t = 1 - distance / this.radius;
+    if (this.falloff === 'linear') return this.strength * t;
+    if (this.falloff === 'quadratic') return this.strength * t * t;
+    return this.strength;
+  }
+
+  apply(mesh) {
+    for (const node of mesh.nodes) {
+      if (node.fixed || node.sleeping) continue;
+
+      const dx = this.x - node.x, dy = this.y - node.y;
+      const distance = Math.hypot(dx, dy);
+      if (distance < 1e-6) continue;
+
+      const acceleration = this.getStrengthAt(distance);
+      if (acceleration === 0) continue;
+      node.applyForce(dx / distance * acceleration * node.mass, dy / distance * acceleration * node.mass);
+    }
+  }
+
+  toJSON() {
+    return {
+      type: 'radial', x: this.x, y: this.y, radius: this.radius,
+      strength: this.strength, falloff: this.falloff
+    };
+  }
+}
+
+// Nodes inside the zone feel `gravity` instead of the mesh's gravity
+class GravityZone {
+  constructor(options = {}) {
+    this.type = 'gravity';
+    this.x = options.x || 0;
+    this.y = options.y || 0;
+    this.width = options.width ?? 400;
+    this.height = options.height ?? 300;
+    this.gravity = { ...(options.gravity || { x: 0, y: -175 }) };
+  }
+
+  apply(mesh) {
+    const dx = this.gravity.x - mesh.gravity.x;
+    const dy = this.gravity.y - mesh.gravity.y;
+
+    for (const node of mesh.nodes) {
+      if (node.fixed || node.sleeping || !inFieldArea(this, node)) continue;
+      node.applyForce(dx * node.mass * node.gravityScale, dy * node.mass * node.gravityScale);
+    }
+  }
+
+  toJSON() {
+    return {
+      type: 'gravity', x: this.x, y: this.y,
+      width: finiteOrNull(this.width), height: finiteOrNull(this.height),
+      gravity: { ...this.gravity }
+    };
+  }
+}
+
+// Sets velocity away from (x, y) once, through px/py, falling off linearly
+// to the edge of `radius`; lingers for `duration` seconds so renderers can
+// show the blast, then expires
+class ExplosionField {
+  constructor(options = {}) {
+    this.type = 'explosion';
+    this.x = options.x || 0;
+    this.y = options.y || 0;
+    this.radius = options.radius || 200;
+    this.impulse = options.impulse ?? 900;
+    this.duration = options.duration || 0.4;
+    this.age = 0;
+    this.fired = false;
+    this.expired = false;
+  }
+
+  apply(mesh, deltaTime) {
+    if (!this.fired) {
+      this.fired = true;
+      for (const node of mesh.nodes) {
+        const dx = node.x - this.x, dy = node.y - this.y;
+        const distance = Math.hypot(dx, dy);
+        if (node.fixed || distance >= this.radius) continue;
+
+        if (node.sleeping) mesh.wake(node);
+        const speed = this.impulse * (1 - distance / this.radius) * deltaTime;
+        const nx = distance > 1e-6 ? dx / distance : 0;
+        const ny = distance > 1e-6 ? dy / distance : -1;
+        node.px -= nx * speed;
+        node.py -= ny * speed;
+      }
+    }
+
+    this.age += deltaTime;
+    this.expired = this.age >= this.duration;
+  }
+
+  toJSON() {
+    return { type: 'explosion', x: this.x, y: this.y, radius: this.radius, impulse: this.impulse };
+  }
+}
+
+// ==================== CONNECTION STRATEGY ====================
+
+// Links a new node to the nearest 1..maxLinks nodes within maxReach.
+// Candidates whose link would cross an existing one, or would form a
+// triangle with an angle under minAngle (radians) with an already chosen
+// anchor, are skipped. The placement is valid with at least minLinks.
+// Any object with the same plan(mesh, x, y, exclude) can replace it.
+class ConnectionStrategy {
+  constructor(options = {}) {
+    this.minLinks = options.minLinks ?? 2;
+    this.maxLinks = Math.max(this.minLinks, options.maxLinks || 2);
+    this.maxReach = options.maxReach || Infinity;
+    this.minAngle = options.minAngle ?? 0.2;
+    this.candidates = options.candidates || 8;
+  }
+
+  // { anchors, angles: [[a, b]] anchor pairs to brace at the new node,
+  //   rejected: [{ node, reason: 'crossing' | 'angle' }], valid, reach }
+  plan(mesh, x, y, exclude = null) {
+    const point = { x, y };
+    const anchors = [];
+    const rejected = [];
+
+    const nearest = mesh.getNearestNodes(x, y, this.maxLinks + this.candidates + (exclude ? 1 : 0))
+      .filter(node => node !== exclude && Math.hypot(node.x - x, node.y - y) <= this.maxReach);
+
+    for (const node of nearest) {
+      if (anchors.length >= this.maxLinks) break;
+
+      if (mesh.wouldLinkCross(point, node)) {
+        rejected.push({ node, reason: 'crossing' });
+      } else if (anchors.some(anchor => ConnectionStrategy.smallestAngle(point, anchor, node) < this.minAngle)) {
+        rejected.push({ node, reason: 'angle' });
+      } else {
+        anchors.push(node);
+      }
+    }
+
+    return {
+      anchors,
+      angles: ConnectionStrategy.bracePairs(point, anchors),
+      rejected,
+      valid: anchors.length >= this.minLinks,
+      reach: this.maxReach
+    };
+  }
+
+  // Smallest interior angle of the triangle p, a, b
+  static smallestAngle(p, a, b) {
+    const angleAt = (o, u, v) => {
+      const ux = u.x - o.x, uy = u.y - o.y;
+      const vx = v.x - o.x, vy = v.y - o.y;
+      const lengths = Math.hypot(ux, uy) * Math.hypot(vx, vy);
+      if (lengths < 1e-9) return 0;
+      return Math.acos(Math.max(-1, Math.min(1, (ux * vx + uy * vy) / lengths)));
+    };
+    return Math.min(angleAt(p, a, b), angleAt(a, p, b), angleAt(b, p, a));
+  }
+
+  // Neighbouring anchors around the new node, skipping gaps wider than a
+  // half turn (two anchors give one pair, as before strategies existed)
+  static bracePairs(p, anchors) {
+    if (anchors.length < 2) return [];
+
+    const sorted = anchors
+      .map(node => ({ node, angle: Math.atan2(node.y - p.y, node.x - p.x) }))
+      .sort((a, b) => a.angle - b.angle);
+
+    const pairs = [];
+    for (let i = 0; i < sorted.length; i++) {
+      const from = sorted[i], to = sorted[(i + 1) % sorted.length];
+      let gap = to.angle - from.angle;
+      if (gap <= 0) gap += Math.PI * 2;
+      if (gap <= Math.PI) pairs.push([from.node, to.node]);
+      if (sorted.length === 2 && pairs.length === 1) break;
+    }
+    return pairs;
+  }
+}
+
+// ==================== SPATIAL HASH ====================
+
+// Uniform grid bucketing integer ids (array indices) by bounding box;
+// queries return candidate ids in ascending order that callers still test exactly
+class SpatialHash {
+  constructor(cellSize = 64) {
+    this.cellSize = cellSize;
+    this.cells = new Map();
+  }
+
+  clear() {
+    this.cells.clear();
+  }
+
+  insert(item, minX, minY, maxX, maxY) {
+    const x0 = Math.floor(minX / this.cellSize), x1 = Math.floor(maxX / this.cellSize);
+    const y0 = Math.floor(minY / this.cellSize), y1 = Math.floor(maxY / this.cellSize);
+
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cy = y0; cy <= y1; cy++) {
+        const key = this._key(cx, cy);
+        let bucket = this.cells.get(key);
+        if (!bucket) {
+          bucket = [];
+          this.cells.set(key, bucket);
+        }
+        bucket.push(item);
+      }
+    }
+  }
+
+  query(minX, minY, maxX, maxY) {
+    const x0 = Math.floor(minX / this.cellSize), x1 = Math.floor(maxX / this.cellSize);
+    const y0 = Math.floor(minY / this.cellSize), y1 = Math.floor(maxY / this.cellSize);
+    const found = new Set();
+
+    for (let cx = x0; cx <= x1; cx++) {
+      for (let cy = y0; cy <= y1; cy++) {
+        const bucket = this.cells.get(this._key(cx, cy));
+        if (!bucket) continue;
+        for (const item of bucket) found.add(item);
+      }
+    }
+    return Array.from(found).sort((a, b) => a - b);
+  }
+
+  buckets() {
+    return this.cells.values();
+  }
+
+  _key(cx, cy) {
+    // Unique for cell coordinates within +/-32768 cells
+    return (cx + 32768) * 65536 + (cy + 32768);
+  }
 }
 
 // Export for use in other modules or browser
 if (typeof module !== 'undefined' && module.exports) {
-  module.exports = { Mesh, Node, Link, AngleConstraint };
+  module.exports = {
+    Mesh, Node, Link, AngleConstraint, PressureConstraint, MouseConstraint, ConnectionStrategy, SpatialHash,
+    PolygonCollider, SegmentCollider, CircleCollider, WindField, RadialField, GravityZone, ExplosionField
+  };
 }
\ No newline at end of file
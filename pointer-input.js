@@ -0,0 +1,191 @@
+// ==================== POINTER INPUT ====================
+// Turns raw pointer events from mice, fingers and pens into taps, drags,
+// long presses and two-finger pinches. Every pointer is tracked on its own,
+// so several fingers can drag at once. Nothing here touches the DOM: feed
+// it events (pointerId, pointerType, clientX, clientY) with the current
+// time in ms, and call update() every frame for holds to fire
+//
+// A press on a target (whatever hitTest returns) becomes a drag once it
+// moves. Held still, a mouse press starts dragging too, while a finger or
+// pen press long-presses instead. Two presses on empty space become a pinch.
+// canDrag(pointer) and canLongPress(pointer) can rule either out for a
+// press, which then taps on release unless it slid away
+
+class PointerInput {
+  // handlers: {
+  //   tap(pointer)        released without moving; pointer.target may be null
+  //   dragStart(pointer)  a pressed target moved, or a mouse held it
+  //   dragMove(pointer)
+  //   dragEnd(pointer)    also called when the pointer is cancelled
+  //   longPress(pointer)  a finger or pen held still on a target
+  //   pinch({ x, y, dx, dy, scale })  midpoint, its movement and the change in spread
+  // }
+  constructor(options = {}) {
+    this.hitTest = options.hitTest || (() => null);
+    this.canDrag = options.canDrag || (() => true);
+    this.canLongPress = options.canLongPress || (() => true);
+    this.handlers = options.handlers || {};
+
+    // Distances are client px; fingers wobble more than mice
+    this.moveThreshold = options.moveThreshold || 6;
+    this.touchMoveThreshold = options.touchMoveThreshold || 10;
+    this.holdToDragMs = options.holdToDragMs || 200;
+    this.longPressMs = options.longPressMs || 600;
+    // Quick taps finish before the confirmation ring appears
+    this.longPressDelayMs = options.longPressDelayMs ?? 150;
+
+    this.pointers = new Map();
+    this.pinch = null;
+  }
+
+  down(event, now) {
+    const type = event.pointerType || 'mouse';
+    const pointer = {
+      id: event.pointerId,
+      type,
+      x: event.clientX,
+      y: event.clientY,
+      startX: event.clientX,
+      startY: event.clientY,
+      startTime: now,
+      target: this.hitTest(event.clientX, event.clientY, type),
+      state: 'pressed'
+    };
+    this.pointers.set(pointer.id, pointer);
+
+    // A second press on empty space pairs up with one already down
+    if (!pointer.target && !this.pinch) {
+      const other = [...this.pointers.values()].find(p =>
+        p !== pointer && !p.target && (p.state === 'pressed' || p.state === 'ignored'));
+      if (other) {
+        other.state = pointer.state = 'pinch';
+        this.pinch = { a: other, b: pointer, ...PointerInput._spread(other, pointer) };
+      }
+    }
+    return pointer;
+  }
+
+  move(event) {
+    const pointer = this.pointers.get(event.pointerId);
+    if (!pointer) return null;
+
+    pointer.x = event.clientX;
+    pointer.y = event.clientY;
+
+    if (pointer.state === 'pinch') {
+      this._updatePinch();
+    } else if (pointer.state === 'dragging') {
+      this._emit('dragMove', pointer);
+    } else if (pointer.state === 'pressed' && this._hasMoved(pointer)) {
+      if (pointer.target && this.canDrag(pointer)) {
+        this._startDrag(pointer);
+        this._emit('dragMove', pointer);
+      } else {
+        // Sliding away cancels the tap
+        pointer.state = 'ignored';
+      }
+    }
+    return pointer;
+  }
+
+  up(event) {
+    return this._release(event.pointerId, false);
+  }
+
+  // The browser took the pointer away (e.g. a system gesture): no tap
+  cancel(event) {
+    return this._release(event.pointerId, true);
+  }
+
+  // Fire holds that have lasted long enough
+  update(now) {
+    for (const pointer of this.pointers.values()) {
+      if (pointer.state !== 'pressed' || !pointer.target) continue;
+
+      const held = now - pointer.startTime;
+      if (pointer.type === 'mouse') {
+        if (held >= this.holdToDragMs && this.canDrag(pointer)) this._startDrag(pointer);
+      } else if (held >= this.longPressMs && this.canLongPress(pointer)) {
+        pointer.state = 'done';
+        this._emit('longPress', pointer);
+      }
+    }
+  }
+
+  // Finger and pen presses on their way to a long press, with progress 0-1
+  getLongPresses(now) {
+    const presses = [];
+    for (const pointer of this.pointers.values()) {
+      if (pointer.state !== 'pressed' || !pointer.target || pointer.type === 'mouse' ||
+          !this.canLongPress(pointer)) continue;
+
+      const held = now - pointer.startTime;
+      if (held >= this.longPressDelayMs) {
+        presses.push({ pointer, progress: Math.min(1, held / this.longPressMs) });
+      }
+    }
+    return presses;
+  }
+
+  // Forget every pointer without reporting anything
+  reset() {
+    this.pointers.clear();
+    this.pinch = null;
+  }
+
+  _release(id, cancelled) {
+    const pointer = this.pointers.get(id);
+    if (!pointer) return null;
+    this.pointers.delete(id);
+
+    if (pointer.state === 'dragging') {
+      this._emit('dragEnd', pointer);
+    } else if (pointer.state === 'pressed' && !cancelled) {
+      this._emit('tap', pointer);
+    } else if (pointer.state === 'pinch' && this.pinch) {
+      // The finger left behind doesn't tap when it lifts
+      const other = this.pinch.a === pointer ? this.pinch.b : this.pinch.a;
+      other.state = 'ignored';
+      this.pinch = null;
+    }
+    return pointer;
+  }
+
+  _startDrag(pointer) {
+    pointer.state = 'dragging';
+    this._emit('dragStart', pointer);
+  }
+
+  _hasMoved(pointer) {
+    const threshold = pointer.type === 'touch' ? this.touchMoveThreshold : this.moveThreshold;
+    return Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY) > threshold;
+  }
+
+  _updatePinch() {
+    const pinch = this.pinch;
+    const next = PointerInput._spread(pinch.a, pinch.b);
+
+    this._emit('pinch', {
+      x: next.x,
+      y: next.y,
+      dx: next.x - pinch.x,
+      dy: next.y - pinch.y,
+      scale: pinch.distance > 0 && next.distance > 0 ? next.distance / pinch.distance : 1
+    });
+    Object.assign(pinch, next);
+  }
+
+  _emit(name, payload) {
+    if (this.handlers[name]) this.handlers[name](payload);
+  }
+
+  // Midpoint and distance between two pointers
+  static _spread(a, b) {
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, distance: Math.hypot(b.x - a.x, b.y - a.y) };
+  }
+}
+
+// Export for use in other modules or browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { PointerInput };
+}
@@ -0,0 +1,276 @@
+// ==================== SESSION REPLAYS ====================
+// A replay is the state a session started from plus every input with the
+// simulation step it was applied before:
+//
+// {
+//   "version": 1,
+//   "timestep": 0.016666666666666666,
+//   "steps": 1800,
+//   "start": { ...application state, e.g. the mesh's toJSON() },
+//   "inputs": [{ "step": 42, "input": { "type": "add", "x": 310, "y": 420 } }, ...]
+// }
+//
+// The player re-drives the simulation from that log through application
+// hooks, taking periodic keyframe snapshots so seeking stays fast
+
+// Copy an object graph, keeping shared references shared and class
+// instances on their prototypes; objects in `shared` are kept as-is
+function cloneState(value, shared = new Set(), seen = new Map()) {
+  if (value === null || typeof value !== 'object' || shared.has(value)) return value;
+  if (seen.has(value)) return seen.get(value);
+
+  const copy = Array.isArray(value) ? [] : Object.create(Object.getPrototypeOf(value));
+  seen.set(value, copy);
+  for (const key of Object.keys(value)) {
+    copy[key] = cloneState(value[key], shared, seen);
+  }
+  return copy;
+}
+
+class SessionRecorder {
+  constructor(stepper) {
+    this.stepper = stepper;
+    this.start = null;
+  }
+
+  // Call right after stepper.reset(), with whatever the application needs
+  // to rebuild the starting scene
+  begin(start) {
+    this.start = JSON.parse(JSON.stringify(start));
+  }
+
+  toReplay() {
+    return {
+      version: ReplayPlayer.SCHEMA_VERSION,
+      timestep: this.stepper.timestep,
+      steps: this.stepper.stepCount,
+      start: this.start,
+      inputs: JSON.parse(JSON.stringify(this.stepper.inputLog))
+    };
+  }
+}
+
+class ReplayPlayer {
+  // hooks: {
+  //   reset(start)      rebuild the starting scene
+  //   apply(input)      apply one recorded input
+  //   step()            advance the simulation by one timestep
+  //   capture()         snapshot everything apply() and step() depend on
+  //   restore(snapshot) put a snapshot back (may be restored many times)
+  // }
+  constructor(replay, hooks, options = {}) {
+    ReplayPlayer.validate(replay);
+
+    this.replay = replay;
+    this.hooks = hooks;
+    this.keyframeInterval = options.keyframeInterval || 120;
+
+    this.step = 0;
+    this.playing = false;
+    this.speed = 1;
+    this.keyframes = new Map();
+    this._accumulator = 0;
+
+    this._inputsByStep = new Map();
+    for (const { step, input } of replay.inputs) {
+      if (!this._inputsByStep.has(step)) this._inputsByStep.set(step, []);
+      this._inputsByStep.get(step).push(input);
+    }
+
+    hooks.reset(replay.start);
+  }
+
+  static isReplay(data) {
+    return !!data && Array.isArray(data.inputs) && !!data.start;
+  }
+
+  static validate(replay) {
+    if (!ReplayPlayer.isReplay(replay)) {
+      throw new Error('Replay needs "start" and an "inputs" array');
+    }
+    if (replay.version !== ReplayPlayer.SCHEMA_VERSION) {
+      throw new Error(`Unsupported replay schema version: ${replay.version}`);
+    }
+    if (!(replay.timestep > 0) || !(replay.steps >= 0)) {
+      throw new Error('Replay needs a positive timestep and a step count');
+    }
+  }
+
+  get length() {
+    return this.replay.steps;
+  }
+
+  get finished() {
+    return this.step >= this.length;
+  }
+
+  play() {
+    if (this.finished) this.seek(0);
+    this.playing = true;
+  }
+
+  pause() {
+    this.playing = false;
+  }
+
+  toggle() {
+    if (this.playing) this.pause();
+    else this.play();
+  }
+
+  setSpeed(speed) {
+    this.speed = speed;
+  }
+
+  // Consume real elapsed seconds while playing
+  advance(elapsed) {
+    if (!this.playing) return;
+
+    this._accumulator += Math.max(0, elapsed) * this.speed;
+    while (this._accumulator >= this.replay.timestep && !this.finished) {
+      this.stepForward();
+      this._accumulator -= this.replay.timestep;
+    }
+
+    if (this.finished) {
+      this.playing = false;
+      this._accumulator = 0;
+    }
+  }
+
+  stepForward() {
+    if (this.finished) return;
+
+    // Keyframes hold the state before this step's inputs
+    if (this.step % this.keyframeInterval === 0 && !this.keyframes.has(this.step)) {
+      this.keyframes.set(this.step, this.hooks.capture());
+    }
+
+    for (const input of this._inputsByStep.get(this.step) || []) {
+      this.hooks.apply(input);
+    }
+    this.hooks.step();
+    this.step++;
+  }
+
+  // Jump to a step, restoring the nearest keyframe at or before it
+  seek(target) {
+    target = Math.max(0, Math.min(this.length, Math.round(target)));
+
+    const keyframe = Math.floor(target / this.keyframeInterval) * this.keyframeInterval;
+    if (target < this.step || keyframe > this.step) {
+      if (this.keyframes.has(keyframe)) {
+        this.hooks.restore(this.keyframes.get(keyframe));
+        this.step = keyframe;
+      } else if (target < this.step) {
+        this.hooks.reset(this.replay.start);
+        this.step = 0;
+      }
+    }
+
+    while (this.step < target) {
+      this.stepForward();
+    }
+    this._accumulator = 0;
+  }
+}
+
+ReplayPlayer.SCHEMA_VERSION = 1;
+
+// ==================== REPLAY CONTROLS ====================
+// Play/pause, speed and a scrubber for a ReplayPlayer (DOM, bottom-center)
+
+const REPLAY_SPEEDS = [0.25, 0.5, 1, 2, 4];
+
+class ReplayControls {
+  constructor(options = {}) {
+    this.player = null;
+    this.onExit = options.onExit || (() => {});
+    this.onExport = options.onExport || (() => {});
+    this.element = this._build();
+    (options.container || document.body).appendChild(this.element);
+  }
+
+  attach(player) {
+    this.player = player;
+    this.scrubber.max = player.length;
+    this.speedSelect.value = String(player.speed);
+    this.element.style.display = 'flex';
+    this.update();
+  }
+
+  detach() {
+    this.player = null;
+    this.element.style.display = 'none';
+  }
+
+  // Reflect the player's position; call once per frame
+  update() {
+    const player = this.player;
+    if (!player) return;
+
+    this.playButton.textContent = player.playing ? 'Pause' : 'Play';
+    this.scrubber.value = player.step;
+    const seconds = (step) => (step * player.replay.timestep).toFixed(1);
+    this.timeLabel.textContent = `${seconds(player.step)}s / ${seconds(player.length)}s`;
+  }
+
+  _build() {
+    const bar = document.createElement('div');
+    Object.assign(bar.style, {
+      position: 'fixed', left: '50%', bottom: '52px', transform: 'translateX(-50%)',
+      display: 'none', alignItems: 'center', gap: '8px', padding: '6px 10px',
+      background: 'rgba(18, 20, 45, 0.92)', color: '#bfc8ff', font: '12px sans-serif',
+      borderRadius: '6px', zIndex: 10
+    });
+
+    const button = (label, onClick) => {
+      const element = document.createElement('button');
+      element.textContent = label;
+      element.addEventListener('click', onClick);
+      return element;
+    };
+
+    this.playButton = button('Play', () => {
+      if (this.player) this.player.toggle();
+      this.update();
+    });
+
+    this.speedSelect = document.createElement('select');
+    for (const speed of REPLAY_SPEEDS) {
+      const option = document.createElement('option');
+      option.value = String(speed);
+      option.textContent = `${speed}×`;
+      this.speedSelect.appendChild(option);
+    }
+    this.speedSelect.addEventListener('change', () => {
+      if (this.player) this.player.setSpeed(Number(this.speedSelect.value));
+    });
+
+    this.scrubber = document.createElement('input');
+    this.scrubber.type = 'range';
+    this.scrubber.min = 0;
+    this.scrubber.step = 1;
+    this.scrubber.style.width = '320px';
+    this.scrubber.addEventListener('input', () => {
+      if (!this.player) return;
+      this.player.pause();
+      this.player.seek(Number(this.scrubber.value));
+      this.update();
+    });
+
+    this.timeLabel = document.createElement('span');
+
+    bar.append(
+      this.playButton, this.speedSelect, this.scrubber, this.timeLabel,
+      button('Export', () => this.onExport()),
+      button('Exit', () => this.onExit())
+    );
+    return bar;
+  }
+}
+
+// Export for use in other modules or browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SessionRecorder, ReplayPlayer, ReplayControls, cloneState };
+}
@@ -0,0 +1,293 @@
+// ==================== LEVEL RULES ====================
+// Win and loss conditions evaluated after every mesh step, the stats a
+// run is scored on, best results per level (localStorage) and a DOM
+// result screen. Rules are plain objects, listed in a level's "rules":
+//
+// Goals, all met at once to win:
+//   { "type": "height", "height": 320 }                 a node this high above the ground
+//   { "type": "point", "x": 900, "y": 300, "radius": 30 }  a node touching the point
+//   { "type": "region", "x": 900, "y": 250, "width": 140, "height": 110 }
+//   { "type": "span", "left": 460, "right": 740 }        one structure reaching both sides
+//   { "type": "stable", "seconds": 2 }                   everything still for that long
+// Limits, lost as soon as one is broken:
+//   { "type": "maxNodes", "count": 14 }                  nodes in the mesh, starting ones included
+//   { "type": "hazard", "y": 600 }                       every node stays above the line
+
+const GOAL_RULES = ['height', 'point', 'region', 'span', 'stable'];
+const LIMIT_RULES = ['maxNodes', 'hazard'];
+
+// Numeric fields each rule type needs
+const RULE_FIELDS = {
+  height: ['height'],
+  point: ['x', 'y'],
+  region: ['x', 'y', 'width', 'height'],
+  span: ['left', 'right'],
+  stable: ['seconds'],
+  maxNodes: ['count'],
+  hazard: ['y']
+};
+
+class RulesEngine {
+  constructor(mesh, rules, options = {}) {
+    rules.forEach(RulesEngine.validate);
+
+    this.mesh = mesh;
+    this.rules = rules;
+    this.stableSpeed = options.stableSpeed || 5; // px/s
+
+    this.status = 'playing';
+    this.reason = '';
+    this.time = 0;
+    this.peakHeight = 0;
+    this.stillTime = 0;
+    this.wonAt = null;
+
+    this._onStep = ({ deltaTime }) => this.update(deltaTime);
+    this.attach();
+  }
+
+  attach() {
+    this.mesh.on('afterStep', this._onStep);
+  }
+
+  detach() {
+    this.mesh.off('afterStep', this._onStep);
+  }
+
+  get finished() {
+    return this.status !== 'playing';
+  }
+
+  update(deltaTime) {
+    if (this.finished) return;
+
+    this.time += deltaTime;
+    this.peakHeight = Math.max(this.peakHeight, this.getHeight());
+    this.stillTime = this._maxSpeed(deltaTime) < this.stableSpeed ? this.stillTime + deltaTime : 0;
+
+    const broken = this.rules.find(rule => LIMIT_RULES.includes(rule.type) && !this.isMet(rule));
+    if (broken) {
+      this.status = 'lost';
+      this.reason = RulesEngine.describe(broken);
+      return;
+    }
+
+    const goals = this.rules.filter(rule => GOAL_RULES.includes(rule.type));
+    if (goals.length > 0 && goals.every(rule => this.isMet(rule))) {
+      this.status = 'won';
+      this.wonAt = this.getStats();
+    }
+  }
+
+  isMet(rule) {
+    const nodes = this.mesh.getNodes();
+    switch (rule.type) {
+      case 'height':
+        return this.getHeight() >= rule.height;
+      case 'point':
+        return nodes.some(node => Math.hypot(node.x - rule.x, node.y - rule.y) <= (rule.radius || 0) + node.r);
+      case 'region':
+        return nodes.some(node => node.x >= rule.x && node.x <= rule.x + rule.width &&
+          node.y >= rule.y && node.y <= rule.y + rule.height);
+      case 'span':
+        // Islands as of the last step; getIslands() would rebuild them
+        return this.mesh.islands.some(island =>
+          island.some(node => node.x <= rule.left) && island.some(node => node.x >= rule.right));
+      case 'stable':
+        return this.stillTime >= rule.seconds;
+      case 'maxNodes':
+        return nodes.length <= rule.count;
+      case 'hazard':
+        return nodes.every(node => node.y + node.r <= rule.y);
+    }
+    return false;
+  }
+
+  // Height of the top of the highest node above the ground
+  getHeight() {
+    const mesh = this.mesh;
+    return mesh.getNodes().reduce((max, node) => Math.max(max, mesh.groundY - (node.y - node.r)), 0);
+  }
+
+  // Frozen at the moment a level is won
+  getStats() {
+    if (this.wonAt) return this.wonAt;
+
+    const stats = { nodes: this.mesh.getNodes().length, time: this.time, peakHeight: this.peakHeight };
+    return { ...stats, score: this.status === 'lost' ? 0 : RulesEngine.score(stats) };
+  }
+
+  // [{ rule, label, met }] for HUDs, goals first
+  getProgress() {
+    return [...this.rules]
+      .sort((a, b) => LIMIT_RULES.includes(a.type) - LIMIT_RULES.includes(b.type))
+      .map(rule => ({ rule, label: this._progressLabel(rule), met: this.isMet(rule) }));
+  }
+
+  _progressLabel(rule) {
+    const label = RulesEngine.describe(rule);
+    switch (rule.type) {
+      case 'height': return `${label} (${Math.round(this.getHeight())}px)`;
+      case 'stable': return `${label} (${Math.min(this.stillTime, rule.seconds).toFixed(1)}s)`;
+      case 'maxNodes': return `${label} (${this.mesh.getNodes().length} used)`;
+      default: return label;
+    }
+  }
+
+  _maxSpeed(deltaTime) {
+    return this.mesh.getNodes().reduce((max, node) =>
+      Math.max(max, Math.hypot(node.x - node.px, node.y - node.py) / deltaTime), 0);
+  }
+
+  // Throws with a readable message when a rule is malformed
+  static validate(rule) {
+    if (!rule || (!GOAL_RULES.includes(rule.type) && !LIMIT_RULES.includes(rule.type))) {
+      throw new Error(`Unknown rule type: ${rule && rule.type}`);
+    }
+    for (const key of RULE_FIELDS[rule.type]) {
+      if (!Number.isFinite(rule[key])) {
+        throw new Error(`"${rule.type}" rule needs a number for "${key}"`);
+      }
+    }
+    if (rule.type === 'point' && rule.radius !== undefined && !(rule.radius >= 0)) {
+      throw new Error('"point" rule radius must be zero or more');
+    }
+    if (rule.type === 'region' && !(rule.width > 0 && rule.height > 0)) {
+      throw new Error('"region" rule needs a positive width and height');
+    }
+  }
+
+  static describe(rule) {
+    switch (rule.type) {
+      case 'height': return `Reach ${rule.height}px high`;
+      case 'point': return 'Touch the target';
+      case 'region': return 'Reach the goal zone';
+      case 'span': return 'Span the gap';
+      case 'stable': return `Hold still for ${rule.seconds}s`;
+      case 'maxNodes': return `Use at most ${rule.count} nodes`;
+      case 'hazard': return 'Keep every node above the hazard line';
+    }
+    return rule.type;
+  }
+
+  // Fewer nodes and a quicker finish score higher; extra height earns a bonus
+  static score({ nodes, time, peakHeight }) {
+    return Math.max(0, Math.round(1000 + peakHeight * 0.5 - nodes * 20 - time * 2));
+  }
+}
+
+// ==================== BEST RESULTS ====================
+// Per level name: the best score, and separately the fewest nodes, the
+// quickest time and the greatest height of any win
+
+class ResultStore {
+  constructor(storageKey = 'web-goo:results') {
+    this.storageKey = storageKey;
+  }
+
+  get(levelName) {
+    return this._saved()[levelName] || null;
+  }
+
+  // Returns the updated bests and whether the score beat the old best
+  record(levelName, stats) {
+    const saved = this._saved();
+    const previous = saved[levelName];
+    const best = previous ? {
+      score: Math.max(previous.score, stats.score),
+      nodes: Math.min(previous.nodes, stats.nodes),
+      time: Math.min(previous.time, stats.time),
+      peakHeight: Math.max(previous.peakHeight, stats.peakHeight),
+      wins: previous.wins + 1
+    } : { score: stats.score, nodes: stats.nodes, time: stats.time, peakHeight: stats.peakHeight, wins: 1 };
+
+    saved[levelName] = best;
+    localStorage.setItem(this.storageKey, JSON.stringify(saved));
+    return { best, newBest: !previous || stats.score > previous.score };
+  }
+
+  _saved() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+}
+
+// ==================== RESULT SCREEN ====================
+// Win or loss summary with retry / next level buttons (DOM, centered)
+
+class ResultScreen {
+  constructor(options = {}) {
+    this.onRetry = options.onRetry || (() => {});
+    this.onNext = options.onNext || (() => {});
+    this.visible = false;
+    this.element = this._build();
+    (options.container || document.body).appendChild(this.element);
+  }
+
+  // result: { title, won, reason, stats, best, newBest }
+  show(result) {
+    const { stats, best } = result;
+    this.title.textContent = result.title;
+    this.title.style.color = result.won ? '#6cff9a' : '#ff6666';
+
+    const lines = result.won
+      ? [`Score ${stats.score}${result.newBest ? ' (new best!)' : ''}`]
+      : [`Failed: ${result.reason}`];
+    lines.push(`Nodes ${stats.nodes} · Time ${stats.time.toFixed(1)}s · Peak height ${Math.round(stats.peakHeight)}px`);
+    if (best) {
+      lines.push(`Best: score ${best.score}, ${best.nodes} nodes, ${best.time.toFixed(1)}s, ` +
+        `${Math.round(best.peakHeight)}px (${best.wins} ${best.wins === 1 ? 'win' : 'wins'})`);
+    }
+    this.details.textContent = lines.join('\n');
+    this.nextButton.style.display = result.won ? '' : 'none';
+
+    this.visible = true;
+    this.element.style.display = 'block';
+  }
+
+  hide() {
+    this.visible = false;
+    this.element.style.display = 'none';
+  }
+
+  _build() {
+    const panel = document.createElement('div');
+    Object.assign(panel.style, {
+      position: 'fixed', left: '50%', top: '30%', transform: 'translateX(-50%)',
+      display: 'none', minWidth: '320px', padding: '14px 18px', textAlign: 'center',
+      background: 'rgba(18, 20, 45, 0.95)', color: '#bfc8ff', font: '13px sans-serif',
+      borderRadius: '8px', zIndex: 10
+    });
+
+    this.title = document.createElement('div');
+    Object.assign(this.title.style, { fontSize: '22px', fontWeight: 'bold', marginBottom: '8px' });
+
+    this.details = document.createElement('div');
+    Object.assign(this.details.style, { whiteSpace: 'pre-line', lineHeight: '1.6', marginBottom: '10px' });
+
+    const button = (label, onClick) => {
+      const element = document.createElement('button');
+      element.textContent = label;
+      element.style.margin = '0 4px';
+      element.addEventListener('click', onClick);
+      return element;
+    };
+    this.nextButton = button('Next level (N)', () => this.onNext());
+
+    panel.append(
+      this.title, this.details,
+      button('Retry (R)', () => this.onRetry()),
+      this.nextButton,
+      button('Keep building', () => this.hide())
+    );
+    return panel;
+  }
+}
+
+// Export for use in other modules or browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { RulesEngine, ResultStore, ResultScreen, GOAL_RULES, LIMIT_RULES };
+}
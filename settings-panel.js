@@ -0,0 +1,284 @@
+// ==================== PHYSICS SETTINGS ====================
+// Live-editable physics parameters, named presets (built in and saved to
+// localStorage) and a DOM panel to tune them while the simulation runs.
+// Settings are a flat object keyed by PHYSICS_SETTINGS keys.
+
+const PHYSICS_SETTINGS = [
+  { key: 'gravity', label: 'Gravity', min: 0, max: 600, step: 1 },
+  { key: 'damping', label: 'Damping', min: 0.9, max: 1, step: 0.001 },
+  { key: 'solverIterations', label: 'Solver iterations', min: 1, max: 30, step: 1 },
+  { key: 'stiffness', label: 'Stiffness', min: 0.01, max: 1, step: 0.01 },
+  { key: 'friction', label: 'Friction', min: 0, max: 1, step: 0.01 },
+  { key: 'groundRestitution', label: 'Ground bounce', min: 0, max: 1, step: 0.01 },
+  { key: 'wallRestitution', label: 'Wall bounce', min: 0, max: 1, step: 0.01 },
+  { key: 'linkStiffness', label: 'Link stiffness ×', min: 0.1, max: 4, step: 0.05 },
+  { key: 'angleStiffness', label: 'Angle stiffness ×', min: 0, max: 4, step: 0.05 }
+];
+
+const DEFAULT_PHYSICS_SETTINGS = {
+  gravity: 175,
+  damping: 0.995,
+  solverIterations: 6,
+  stiffness: 0.25,
+  friction: 0.85,
+  groundRestitution: 0.18,
+  wallRestitution: 0.25,
+  linkStiffness: 1,
+  angleStiffness: 1
+};
+
+// Built-in presets only list what they change from the defaults
+const PHYSICS_PRESETS = {
+  'default': {},
+  'jelly': {
+    damping: 0.99, solverIterations: 4, stiffness: 0.08,
+    groundRestitution: 0.5, linkStiffness: 0.6, angleStiffness: 0.3
+  },
+  'steel': {
+    damping: 0.998, solverIterations: 12, stiffness: 0.9,
+    groundRestitution: 0.05, linkStiffness: 1.5, angleStiffness: 2.5
+  },
+  'moon gravity': { gravity: 29, damping: 0.999 }
+};
+
+class PresetStore {
+  constructor(storageKey = 'web-goo:presets') {
+    this.storageKey = storageKey;
+  }
+
+  // Built-in names first, then saved presets
+  names() {
+    return [...Object.keys(PHYSICS_PRESETS), ...Object.keys(this._saved())];
+  }
+
+  isBuiltIn(name) {
+    return Object.prototype.hasOwnProperty.call(PHYSICS_PRESETS, name);
+  }
+
+  // Full settings for a preset, or null if there is none by that name
+  get(name) {
+    const preset = this.isBuiltIn(name) ? PHYSICS_PRESETS[name] : this._saved()[name];
+    return preset ? PresetStore.normalize(preset) : null;
+  }
+
+  save(name, settings) {
+    if (!name) throw new Error('Preset needs a name');
+    if (this.isBuiltIn(name)) throw new Error(`"${name}" is a built-in preset`);
+
+    const saved = this._saved();
+    saved[name] = PresetStore.normalize(settings);
+    localStorage.setItem(this.storageKey, JSON.stringify(saved));
+  }
+
+  remove(name) {
+    const saved = this._saved();
+    delete saved[name];
+    localStorage.setItem(this.storageKey, JSON.stringify(saved));
+  }
+
+  _saved() {
+    try {
+      return JSON.parse(localStorage.getItem(this.storageKey)) || {};
+    } catch (error) {
+      return {};
+    }
+  }
+
+  // Defaults filled in, unknown keys dropped, values clamped to their ranges
+  static normalize(settings) {
+    const result = {};
+    for (const { key, min, max } of PHYSICS_SETTINGS) {
+      const value = Number(settings[key]);
+      result[key] = Number.isFinite(value)
+        ? Math.max(min, Math.min(max, value))
+        : DEFAULT_PHYSICS_SETTINGS[key];
+    }
+    return result;
+  }
+
+  // ?preset=jelly&gravity=90 -> settings, or null when the URL has none
+  fromQuery(search) {
+    const params = new URLSearchParams(search);
+    const overrides = {};
+    for (const { key } of PHYSICS_SETTINGS) {
+      if (params.has(key)) overrides[key] = params.get(key);
+    }
+
+    const base = params.has('preset') ? this.get(params.get('preset')) : null;
+    if (!base && Object.keys(overrides).length === 0) return null;
+    return PresetStore.normalize({ ...(base || DEFAULT_PHYSICS_SETTINGS), ...overrides });
+  }
+
+  // Writes every setting into a copy of the query string, keeping other params
+  static toQuery(settings, search = '') {
+    const params = new URLSearchParams(search);
+    params.delete('preset');
+    for (const { key } of PHYSICS_SETTINGS) {
+      params.set(key, String(settings[key]));
+    }
+    return params.toString();
+  }
+}
+
+class SettingsPanel {
+  constructor(options = {}) {
+    this.store = options.store || new PresetStore();
+    this.onChange = options.onChange || (() => {});
+    this.settings = PresetStore.normalize(options.settings || DEFAULT_PHYSICS_SETTINGS);
+    this.visible = false;
+
+    this.inputs = {};
+    this.element = this._build();
+    (options.container || document.body).appendChild(this.element);
+  }
+
+  setVisible(visible) {
+    this.visible = visible;
+    this.element.style.display = visible ? 'block' : 'none';
+  }
+
+  toggle() {
+    this.setVisible(!this.visible);
+  }
+
+  // Update the controls without reporting a change
+  setSettings(settings) {
+    this.settings = PresetStore.normalize(settings);
+    for (const { key } of PHYSICS_SETTINGS) {
+      this.inputs[key].range.value = this.settings[key];
+      this.inputs[key].output.textContent = String(this.settings[key]);
+    }
+  }
+
+  loadPreset(name) {
+    const preset = this.store.get(name);
+    if (!preset) return false;
+    this._apply(preset);
+    return true;
+  }
+
+  savePreset(name) {
+    this.store.save(name, this.settings);
+    this._refreshPresets(name);
+  }
+
+  deletePreset(name) {
+    if (this.store.isBuiltIn(name)) return;
+    this.store.remove(name);
+    this._refreshPresets();
+  }
+
+  // Absolute URL that reproduces the current settings
+  shareURL() {
+    const query = PresetStore.toQuery(this.settings, location.search);
+    return `${location.origin || ''}${location.pathname}?${query}`;
+  }
+
+  _apply(settings) {
+    this.setSettings(settings);
+    this.onChange(this.settings);
+  }
+
+  _build() {
+    const panel = document.createElement('div');
+    Object.assign(panel.style, {
+      position: 'fixed', left: '12px', top: '72px', width: '240px', padding: '8px 10px',
+      display: 'none', background: 'rgba(18, 20, 45, 0.92)', color: '#bfc8ff',
+      font: '12px sans-serif', borderRadius: '6px', zIndex: 10
+    });
+
+    for (const parameter of PHYSICS_SETTINGS) {
+      panel.appendChild(this._buildSlider(parameter));
+    }
+
+    // Presets: pick one to load it, or name and save the current settings
+    this.presetSelect = document.createElement('select');
+    this.presetSelect.addEventListener('change', () => this.loadPreset(this.presetSelect.value));
+
+    this.nameInput = document.createElement('input');
+    this.nameInput.placeholder = 'Preset name';
+    this.nameInput.style.width = '110px';
+
+    const buttons = [
+      ['Save', () => {
+        try {
+          this.savePreset(this.nameInput.value.trim());
+          this.nameInput.value = '';
+          this.saveError.textContent = '';
+        } catch (error) {
+          this.saveError.textContent = error.message;
+        }
+      }],
+      ['Delete', () => this.deletePreset(this.presetSelect.value)],
+      ['Share', () => {
+        const url = this.shareURL();
+        history.replaceState(null, '', url);
+        if (navigator.clipboard) navigator.clipboard.writeText(url).catch(() => {});
+      }]
+    ].map(([label, onClick]) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.addEventListener('click', onClick);
+      return button;
+    });
+
+    const presetRow = document.createElement('div');
+    presetRow.style.marginTop = '8px';
+    presetRow.append(this.presetSelect, buttons[1]);
+
+    const saveRow = document.createElement('div');
+    saveRow.style.marginTop = '4px';
+    saveRow.append(this.nameInput, buttons[0], buttons[2]);
+
+    // Why the last save was refused, e.g. a built-in preset's name
+    this.saveError = document.createElement('div');
+    Object.assign(this.saveError.style, { marginTop: '4px', color: '#ff6666' });
+    this.nameInput.addEventListener('input', () => { this.saveError.textContent = ''; });
+
+    panel.append(presetRow, saveRow, this.saveError);
+    this._refreshPresets();
+    return panel;
+  }
+
+  _buildSlider({ key, label, min, max, step }) {
+    const row = document.createElement('label');
+    row.style.display = 'block';
+    row.style.marginBottom = '4px';
+
+    const caption = document.createElement('span');
+    caption.textContent = label + ' ';
+    const output = document.createElement('span');
+    output.textContent = String(this.settings[key]);
+
+    const range = document.createElement('input');
+    range.type = 'range';
+    range.min = min;
+    range.max = max;
+    range.step = step;
+    range.value = this.settings[key];
+    range.style.width = '100%';
+    range.addEventListener('input', () => {
+      this._apply({ ...this.settings, [key]: Number(range.value) });
+    });
+
+    row.append(caption, output, range);
+    this.inputs[key] = { range, output };
+    return row;
+  }
+
+  _refreshPresets(selected = null) {
+    this.presetSelect.innerHTML = '';
+    for (const name of this.store.names()) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = this.store.isBuiltIn(name) ? name : `${name} (saved)`;
+      this.presetSelect.appendChild(option);
+    }
+    if (selected) this.presetSelect.value = selected;
+  }
+}
+
+// Export for use in other modules or browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { SettingsPanel, PresetStore, PHYSICS_SETTINGS, PHYSICS_PRESETS, DEFAULT_PHYSICS_SETTINGS };
+}
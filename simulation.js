@@ -0,0 +1,112 @@
+// ==================== HEADLESS SIMULATION ====================
+// Steps a mesh without a renderer, tracks what happened and records node
+// trajectories; drives bin/simulate.js and the test suite
+
+class Simulation {
+  constructor(mesh, options = {}) {
+    this.mesh = mesh;
+    this.timestep = options.timestep || 1/60;
+    this.sampleEvery = options.sampleEvery || 1;
+    this.settleSpeed = options.settleSpeed || 5; // px/s
+
+    this.stepCount = 0;
+    this.brokenLinks = 0;
+    this.peakStrain = 0;
+    this.belowGround = new Set();
+
+    // Nodes keep the id of their starting index even after removals
+    this.nodeIds = new Map(mesh.getNodes().map((node, i) => [node, i]));
+    this.frames = [];
+    this._sample();
+
+    mesh.on('linkBroken', () => this.brokenLinks++);
+  }
+
+  run(steps) {
+    for (let i = 0; i < steps; i++) {
+      this.step();
+    }
+    return this.getReport();
+  }
+
+  step() {
+    this.mesh.step(this.timestep);
+    this.stepCount++;
+
+    for (const node of this.mesh.getNodes()) {
+      if (node.y > this.mesh.groundY) this.belowGround.add(this._nodeId(node));
+    }
+    this.peakStrain = Math.max(this.peakStrain, this._maxStrain());
+
+    if (this.stepCount % this.sampleEvery === 0) {
+      this._sample();
+    }
+  }
+
+  getReport() {
+    const mesh = this.mesh;
+    const nodes = mesh.getNodes();
+    const kinetic = mesh.getKineticEnergy(this.timestep);
+    const potential = mesh.getPotentialEnergy();
+    const top = nodes.reduce((min, node) => Math.min(min, node.y - node.r), mesh.groundY);
+
+    return {
+      steps: this.stepCount,
+      time: this.stepCount * this.timestep,
+      nodes: nodes.length,
+      links: mesh.getLinks().length,
+      brokenLinks: this.brokenLinks,
+      settledHeight: mesh.groundY - top,
+      settled: this._maxSpeed() < this.settleSpeed,
+      maxSpeed: this._maxSpeed(),
+      maxStrain: this._maxStrain(),
+      peakStrain: this.peakStrain,
+      energy: { kinetic, potential, total: kinetic + potential },
+      belowGround: this.belowGround.size > 0,
+      belowGroundNodes: [...this.belowGround].sort((a, b) => a - b)
+    };
+  }
+
+  // { timestep, frames: [{ step, time, nodes: [{ id, x, y }] }] }
+  toJSON() {
+    return { timestep: this.timestep, frames: this.frames };
+  }
+
+  // One row per node per sampled frame
+  toCSV() {
+    const rows = ['step,time,node,x,y'];
+    for (const frame of this.frames) {
+      for (const node of frame.nodes) {
+        rows.push(`${frame.step},${frame.time},${node.id},${node.x},${node.y}`);
+      }
+    }
+    return rows.join('\n') + '\n';
+  }
+
+  _sample() {
+    this.frames.push({
+      step: this.stepCount,
+      time: this.stepCount * this.timestep,
+      nodes: this.mesh.getNodes().map(node => ({ id: this._nodeId(node), x: node.x, y: node.y }))
+    });
+  }
+
+  _nodeId(node) {
+    if (!this.nodeIds.has(node)) this.nodeIds.set(node, this.nodeIds.size);
+    return this.nodeIds.get(node);
+  }
+
+  _maxStrain() {
+    return this.mesh.getLinks().reduce((max, link) => Math.max(max, Math.abs(link.getStrain())), 0);
+  }
+
+  _maxSpeed() {
+    return this.mesh.getNodes().reduce((max, node) =>
+      Math.max(max, Math.hypot(node.x - node.px, node.y - node.py) / this.timestep), 0);
+  }
+}
+
+// Export for use in other modules or browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { Simulation };
+}
@@ -0,0 +1,90 @@
+// ==================== FIXED-STEP DRIVER ====================
+// Advances a Mesh at a fixed timestep from variable frame times
+// Every applied input is logged with the step it preceded; deterministic
+// mode also defers input to the next step boundary
+
+class FixedStepper {
+  constructor(mesh, config = {}) {
+    this.mesh = mesh;
+    this.timestep = config.timestep || 1/60;
+    this.maxSubsteps = config.maxSubsteps || 5;
+    this.deterministic = config.deterministic || false;
+
+    // Applies one input object to the mesh (supplied by the application)
+    this.inputHandler = config.inputHandler || (() => {});
+
+    // Internal state
+    this.accumulator = 0;
+    this.stepCount = 0;
+    this.alpha = 1;
+    this.pendingInputs = [];
+    this.inputLog = [];
+  }
+
+  // ==================== TIME ====================
+
+  // Consume real elapsed seconds; returns the interpolation alpha for rendering
+  advance(elapsed) {
+    this.accumulator += Math.max(0, elapsed);
+
+    let substeps = 0;
+    while (this.accumulator >= this.timestep && substeps < this.maxSubsteps) {
+      this.step();
+      this.accumulator -= this.timestep;
+      substeps++;
+    }
+
+    // Drop time we could not catch up on instead of spiralling
+    if (this.accumulator >= this.timestep) {
+      this.accumulator %= this.timestep;
+    }
+
+    this.alpha = this.accumulator / this.timestep;
+    return this.alpha;
+  }
+
+  step() {
+    this._applyPendingInputs();
+    this.mesh.step(this.timestep);
+    this.stepCount++;
+  }
+
+  // ==================== INPUT ====================
+
+  // Apply an input now, or at the next step boundary in deterministic mode
+  input(input) {
+    if (!this.deterministic) {
+      this.inputLog.push({ step: this.stepCount, input });
+      this.inputHandler(input);
+      return;
+    }
+    this.scheduleInput(this.stepCount, input);
+  }
+
+  // Queue an input to run right before the given step (used for replays)
+  scheduleInput(step, input) {
+    this.pendingInputs.push({ step, input });
+    this.pendingInputs.sort((a, b) => a.step - b.step);
+  }
+
+  reset() {
+    this.accumulator = 0;
+    this.stepCount = 0;
+    this.alpha = 1;
+    this.pendingInputs = [];
+    this.inputLog = [];
+  }
+
+  _applyPendingInputs() {
+    while (this.pendingInputs.length > 0 && this.pendingInputs[0].step <= this.stepCount) {
+      const { input } = this.pendingInputs.shift();
+      this.inputLog.push({ step: this.stepCount, input });
+      this.inputHandler(input);
+    }
+  }
+}
+
+// Export for use in other modules or browser
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { FixedStepper };
+}
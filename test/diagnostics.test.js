@@ -0,0 +1,75 @@
+// ==================== DIAGNOSTICS TESTS ====================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Mesh } = require('../mesh.js');
+const { DiagnosticsLog, DIAGNOSTIC_SERIES } = require('../diagnostics.js');
+
+function triangleMesh(config = {}) {
+  const mesh = new Mesh({ bounds: { width: 800, height: 600 }, groundY: 510, ...config });
+  mesh.createTriangle(400, 300, 70);
+  return mesh;
+}
+
+test('diagnostics are off unless enabled', () => {
+  const mesh = triangleMesh();
+  mesh.step();
+  assert.equal(mesh.lastDiagnostics, null);
+});
+
+test('each step reports energy, momentum and per-iteration residuals', () => {
+  const mesh = triangleMesh({ diagnostics: true, solverIterations: 4 });
+  mesh.step();
+
+  const sample = mesh.lastDiagnostics;
+  assert.equal(sample.residuals.length, 4);
+  assert.ok(sample.residuals.every(r => r.max >= r.mean && r.mean >= 0));
+  assert.equal(sample.totalEnergy, sample.kineticEnergy + sample.potentialEnergy);
+  assert.ok(sample.momentum.y > 0, 'a falling triangle carries downward momentum');
+  assert.equal(sample.crossingCorrections, 0);
+  assert.ok(sample.stepTime >= 0);
+});
+
+test('crossing corrections are counted', () => {
+  const mesh = new Mesh({ diagnostics: true, gravity: { x: 0, y: 0.0001 }, nodeCollisions: false });
+  const a = mesh.createNode(100, 100), b = mesh.createNode(200, 200);
+  const c = mesh.createNode(100, 200), d = mesh.createNode(200, 100);
+  mesh.createLink(a, b);
+  mesh.createLink(c, d);
+
+  mesh.step();
+  assert.ok(mesh.lastDiagnostics.crossingCorrections > 0);
+});
+
+test('crossings too close to a node are not counted as corrections', () => {
+  const mesh = new Mesh({ diagnostics: true, gravity: { x: 0, y: 0.0001 }, nodeCollisions: false });
+  const a = mesh.createNode(100, 100), b = mesh.createNode(200, 100);
+  const c = mesh.createNode(102, 50), d = mesh.createNode(102, 150);
+  mesh.createLink(a, b);
+  mesh.createLink(c, d);
+
+  mesh.step();
+  assert.equal(mesh.lastDiagnostics.crossingCorrections, 0);
+});
+
+test('the log keeps a rolling window and exports it', () => {
+  const mesh = triangleMesh({ diagnostics: true });
+  const log = new DiagnosticsLog(mesh, { capacity: 5 });
+  for (let i = 0; i < 8; i++) mesh.step();
+
+  assert.deepEqual(log.samples.map(s => s.step), [3, 4, 5, 6, 7]);
+  assert.equal(log.series('stepTime').length, 5);
+  assert.throws(() => log.series('nope'), /Unknown diagnostic series/);
+
+  const json = JSON.parse(JSON.stringify(log));
+  assert.equal(json.config.solverIterations, mesh.solverIterations);
+  assert.equal(json.samples.length, 5);
+
+  const rows = log.toCSV().trim().split('\n');
+  assert.equal(rows[0], ['step', ...DIAGNOSTIC_SERIES.map(d => d.key)].join(','));
+  assert.equal(rows.length, 6);
+
+  log.detach();
+  mesh.step();
+  assert.equal(log.samples.length, 5);
+});
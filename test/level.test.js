@@ -0,0 +1,52 @@
+// ==================== LEVEL TESTS ====================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Mesh } = require('../mesh.js');
+const { Level } = require('../level.js');
+const { LEVELS } = require('../levels.js');
+
+const BASE = {
+  version: 1,
+  name: 'Test',
+  world: { width: 800, height: 600, groundY: 500 },
+  terrain: []
+};
+
+test('built-in levels validate and apply', () => {
+  for (const definition of LEVELS) {
+    const mesh = new Mesh();
+    new Level(definition).apply(mesh);
+    assert.ok(mesh.getNodes().length > 0, definition.name);
+  }
+});
+
+test('bad terrain, fields and structures are rejected before apply touches the mesh', () => {
+  const bad = [
+    { terrain: [{ type: 'polygon', points: [[0, 0], [10, 0]] }] },
+    { terrain: [{ type: 'segment', from: [0, 0] }] },
+    { terrain: [{ type: 'circle', center: [0, 0], radius: -1 }] },
+    { terrain: [{ type: 'blob' }] },
+    { fields: [{ type: 'tornado' }] },
+    { structure: { x: 'left' } },
+    { structure: { nodes: [[0, 0], [10, 'a']] } },
+    { structure: { nodes: [[0, 0], [10, 0]], links: [[0, 2]] } },
+    { structure: { nodes: [[0, 0], [10, 0], [5, 5]], angles: [[0, 1]] } },
+    { structure: { nodes: [[0, 0]], pinned: [1] } }
+  ];
+  for (const overrides of bad) {
+    assert.throws(() => new Level({ ...BASE, ...overrides }), JSON.stringify(overrides));
+  }
+
+  const level = new Level({
+    ...BASE,
+    terrain: [{ type: 'circle', center: [400, 480], radius: 30 }],
+    fields: [{ type: 'wind', strength: 50 }],
+    structure: { nodes: [[100, 400], [160, 400], [130, 350]], links: [[0, 1], [1, 2], [2, 0]], pinned: [0] }
+  });
+  const mesh = new Mesh();
+  level.apply(mesh);
+  assert.equal(mesh.getNodes().length, 3);
+  assert.equal(mesh.getColliders().length, 1);
+  assert.equal(mesh.getForceFields().length, 1);
+});
@@ -0,0 +1,648 @@
+// ==================== MESH PHYSICS TESTS ====================
+// Invariants of the core simulation; run with `node --test test/`
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Mesh, Node, AngleConstraint, ConnectionStrategy } = require('../mesh.js');
+
+function createMesh(config = {}) {
+  return new Mesh({ bounds: { width: 800, height: 600 }, groundY: 510, ...config });
+}
+
+function snapshot(mesh) {
+  return mesh.getNodes().map(node => [node.x, node.y]);
+}
+
+test('a resting triangle settles on the ground and stays put', () => {
+  const mesh = createMesh();
+  mesh.createTriangle(400, 300, 70);
+  for (let i = 0; i < 600; i++) mesh.step();
+
+  const settled = snapshot(mesh);
+  for (let i = 0; i < 120; i++) mesh.step();
+
+  snapshot(mesh).forEach(([x, y], i) => {
+    assert.ok(Math.abs(x - settled[i][0]) < 0.05, `node ${i} drifted in x`);
+    assert.ok(Math.abs(y - settled[i][1]) < 0.05, `node ${i} drifted in y`);
+  });
+  for (const node of mesh.getNodes()) {
+    assert.ok(node.y <= mesh.groundY, 'node sank below the ground');
+  }
+  for (const link of mesh.getLinks()) {
+    assert.ok(Math.abs(link.getStrain()) < 0.02, `link strain ${link.getStrain()}`);
+  }
+  assert.equal(mesh.getLinks().length, 3);
+});
+
+test('pinned nodes never move', () => {
+  const mesh = createMesh();
+  const anchor = mesh.createNode(400, 100, { pinned: true });
+  const near = mesh.createNode(480, 100);
+  const far = mesh.createNode(480, 170);
+  mesh.createLink(anchor, near);
+  mesh.createLink(anchor, far);
+  mesh.createLink(near, far);
+
+  let lowest = near.y;
+  for (let i = 0; i < 300; i++) {
+    mesh.step();
+    assert.equal(anchor.x, 400);
+    assert.equal(anchor.y, 100);
+    lowest = Math.max(lowest, near.y);
+  }
+  assert.ok(lowest > 150, 'free nodes should swing down under gravity');
+});
+
+test('removeNode cascades to nodes left with fewer than two links', () => {
+  const mesh = createMesh({ nodeCollisions: false });
+  const [a, b, c] = mesh.createTriangle(400, 300, 70);
+  const d = mesh.createNode(520, 300);
+  mesh.createLink(c, d);
+  mesh.createLink(a, d);
+
+  // Removing d leaves the triangle intact
+  let removed = mesh.removeNode(d);
+  assert.deepEqual(removed.nodes, [d]);
+  assert.equal(removed.links.length, 2);
+  assert.equal(mesh.getNodes().length, 3);
+  assert.equal(mesh.getLinks().length, 3);
+
+  // Removing a triangle corner orphans the other two
+  removed = mesh.removeNode(a);
+  assert.equal(removed.nodes.length, 3);
+  assert.ok(removed.nodes.includes(b) && removed.nodes.includes(c));
+  assert.equal(mesh.getNodes().length, 0);
+  assert.equal(mesh.getLinks().length, 0);
+  assert.equal(mesh.getAngleConstraints().length, 0);
+});
+
+test('detachNode frees a node without removing neighbours it leaves short of links', () => {
+  const mesh = createMesh({ nodeCollisions: false });
+  const [a, b, c] = mesh.createTriangle(400, 300, 70);
+  assert.equal(mesh.getConnectionCount(b), 2);
+
+  const removed = mesh.detachNode(a);
+  assert.deepEqual(removed.nodes, []);
+  assert.equal(removed.links.length, 2);
+  assert.deepEqual(mesh.getNodes(), [a, b, c]);
+  assert.deepEqual(mesh.getLinks().map(link => [link.a, link.b]), [[b, c]]);
+});
+
+test('sticky nodes are held where they land without being pinned', () => {
+  const mesh = createMesh();
+  const node = mesh.createNode(400, 480, { sticky: true });
+  for (let i = 0; i < 60; i++) mesh.step(1/60);
+
+  assert.ok(node.stuck && node.fixed);
+  assert.equal(node.pinned, false);
+  assert.equal(node.inverseMass(), 0);
+
+  const x = node.x, y = node.y;
+  mesh.gravity = { x: 300, y: -300 };
+  for (let i = 0; i < 30; i++) mesh.step(1/60);
+  assert.deepEqual([node.x, node.y], [x, y]);
+
+  const loaded = Mesh.fromJSON(JSON.parse(JSON.stringify(mesh))).getNodes()[0];
+  assert.ok(loaded.stuck && !loaded.pinned);
+});
+
+test('a user pin survives goo sticking and being pulled free', () => {
+  const mesh = createMesh();
+  const node = mesh.createNode(400, 480, { sticky: true });
+  for (let i = 0; i < 60; i++) mesh.step(1/60);
+  assert.ok(node.stuck);
+
+  node.pinned = true;
+  const grab = mesh.createMouseConstraint(node, node.x, node.y - 100);
+  assert.equal(node.stuck, false);
+  assert.ok(node.pinned && node.fixed);
+  mesh.removeMouseConstraint(grab);
+
+  // Unpinned, it is free to be lifted again
+  node.pinned = false;
+  mesh.createMouseConstraint(node, node.x, node.y - 100);
+  for (let i = 0; i < 30; i++) mesh.step(1/60);
+  assert.ok(!node.fixed && node.y < 480);
+});
+
+test('removeNode leaves no links or constraints pointing at removed nodes', () => {
+  const mesh = createMesh();
+  const [a, b, c] = mesh.createTriangle(300, 300, 70);
+  const d = mesh.createNode(380, 250);
+  const e = mesh.createNode(420, 330);
+  mesh.createLink(a, d);
+  mesh.createLink(c, d);
+  mesh.createLink(d, e);
+  mesh.createLink(c, e);
+
+  mesh.removeNode(c);
+
+  const alive = new Set(mesh.getNodes());
+  assert.ok(!alive.has(c));
+  for (const link of mesh.getLinks()) {
+    assert.ok(alive.has(link.a) && alive.has(link.b));
+  }
+  for (const constraint of mesh.getAngleConstraints()) {
+    assert.ok(alive.has(constraint.a) && alive.has(constraint.b) && alive.has(constraint.c));
+  }
+  for (const node of mesh.getNodes()) {
+    assert.ok(mesh.getConnectionCount(node) >= 2, 'orphan left behind');
+  }
+  assert.ok(!alive.has(b) || mesh.getConnectionCount(b) >= 2);
+});
+
+test('_lineIntersection finds a proper crossing', () => {
+  const mesh = createMesh();
+  const hit = mesh._lineIntersection(0, 0, 10, 10, 0, 10, 10, 0);
+  assert.deepEqual(hit, { x: 5, y: 5, t: 0.5, u: 0.5 });
+});
+
+test('_lineIntersection ignores parallel and collinear segments', () => {
+  const mesh = createMesh();
+  assert.equal(mesh._lineIntersection(0, 0, 10, 0, 0, 5, 10, 5), null);
+  assert.equal(mesh._lineIntersection(0, 0, 10, 0, 5, 0, 15, 0), null);
+});
+
+test('_lineIntersection ignores lines that cross outside the segments', () => {
+  const mesh = createMesh();
+  assert.equal(mesh._lineIntersection(0, 0, 4, 4, 0, 10, 10, 0), null);
+  assert.equal(mesh._lineIntersection(0, 0, 10, 10, 20, 0, 11, 9), null);
+});
+
+test('_lineIntersection includes touching endpoints', () => {
+  const mesh = createMesh();
+  const shared = mesh._lineIntersection(0, 0, 10, 0, 10, 0, 10, 10);
+  assert.equal(shared.t, 1);
+  assert.equal(Math.abs(shared.u), 0);
+
+  const tee = mesh._lineIntersection(0, 0, 10, 0, 5, 0, 5, 10);
+  assert.equal(tee.x, 5);
+  assert.equal(tee.y, 0);
+  assert.equal(Math.abs(tee.u), 0);
+});
+
+test('_lineIntersection treats zero-length segments as non-intersecting', () => {
+  const mesh = createMesh();
+  assert.equal(mesh._lineIntersection(5, 5, 5, 5, 0, 0, 10, 10), null);
+  assert.equal(mesh._lineIntersection(0, 10, 10, 0, 5, 5, 5, 5), null);
+});
+
+test('connection strategy links to the nearest nodes within reach', () => {
+  const mesh = createMesh();
+  const a = mesh.createNode(100, 100);
+  const b = mesh.createNode(200, 100);
+  const c = mesh.createNode(150, 20);
+  mesh.createNode(600, 100);
+
+  mesh.setConnectionStrategy(new ConnectionStrategy({ maxLinks: 4, maxReach: 150 }));
+  const plan = mesh.planConnections(150, 160);
+
+  assert.deepEqual(new Set(plan.anchors), new Set([a, b, c]));
+  assert.ok(plan.valid);
+  assert.equal(plan.reach, 150);
+});
+
+test('connection strategy skips crossing candidates instead of rejecting', () => {
+  const mesh = createMesh();
+  const a = mesh.createNode(60, 100);
+  const b = mesh.createNode(160, 100);
+  const wallLeft = mesh.createNode(128, 150);
+  const wallRight = mesh.createNode(600, 150);
+  mesh.createLink(wallLeft, wallRight);
+
+  mesh.setConnectionStrategy(new ConnectionStrategy({ maxLinks: 3 }));
+  const plan = mesh.planConnections(100, 200);
+
+  assert.ok(plan.valid);
+  assert.deepEqual(plan.anchors, [wallLeft, a]);
+  assert.deepEqual(plan.rejected[0], { node: b, reason: 'crossing' });
+});
+
+test('connection strategy rejects sliver triangles', () => {
+  const mesh = createMesh();
+  const near = mesh.createNode(100, 100);
+  const behind = mesh.createNode(104, 60);
+
+  const strategy = new ConnectionStrategy({ minLinks: 1, minAngle: 0.3 });
+  const plan = strategy.plan(mesh, 100, 140);
+
+  assert.deepEqual(plan.anchors, [near]);
+  assert.deepEqual(plan.rejected, [{ node: behind, reason: 'angle' }]);
+  assert.equal(new ConnectionStrategy({ minLinks: 2, minAngle: 0.3 }).plan(mesh, 100, 140).valid, false);
+});
+
+test('connection strategy braces neighbouring anchors', () => {
+  const p = { x: 0, y: 0 };
+  const right = { x: 10, y: 0 }, up = { x: 0, y: -10 }, left = { x: -10, y: 0 };
+
+  assert.equal(ConnectionStrategy.bracePairs(p, [right]).length, 0);
+  assert.equal(ConnectionStrategy.bracePairs(p, [right, up]).length, 1);
+  // The gap from left back round to right is a half turn through the bottom
+  assert.equal(ConnectionStrategy.bracePairs(p, [right, up, left]).length, 3);
+});
+
+test('configure changes settings while keeping the structure', () => {
+  const mesh = createMesh();
+  mesh.createTriangle(400, 300, 70);
+
+  mesh.configure({ gravity: { x: 0, y: 30 }, solverIterations: 2, breakStrain: null, unknown: 1 });
+
+  assert.deepEqual(mesh.gravity, { x: 0, y: 30 });
+  assert.equal(mesh.solverIterations, 2);
+  assert.equal(mesh.breakStrain, Infinity);
+  assert.equal(mesh.unknown, undefined);
+  assert.equal(mesh.getNodes().length, 3);
+});
+
+test('a pressurised blob keeps its area where a bare ring collapses', () => {
+  const height = (mesh) => {
+    const ys = mesh.getNodes().map(node => node.y);
+    return Math.max(...ys) - Math.min(...ys);
+  };
+
+  const blob = createMesh();
+  const { pressureConstraints: [constraint] } = blob.createBlob(400, 300, 60, 12, 1);
+  const ring = createMesh();
+  ring.createBlob(400, 300, 60, 12, 1);
+  ring.pressureConstraints = [];
+
+  for (let i = 0; i < 600; i++) {
+    blob.step();
+    ring.step();
+  }
+
+  assert.ok(Math.abs(constraint.getError()) < 0.02, `area error ${constraint.getError()}`);
+  assert.ok(height(blob) > 80, `blob height ${height(blob)}`);
+  assert.ok(height(ring) < 40, `ring height ${height(ring)}`);
+});
+
+test('removing a blob node drops its pressure constraint and undo restores it', () => {
+  const mesh = createMesh();
+  const { nodes } = mesh.createBlob(400, 300, 60, 8, 1.2);
+
+  const removed = mesh.removeNode(nodes[0]);
+  assert.equal(mesh.getPressureConstraints().length, 0);
+  assert.equal(removed.pressureConstraints.length, 1);
+
+  mesh.restoreElements(removed);
+  assert.equal(mesh.getPressureConstraints().length, 1);
+  assert.equal(mesh.getPressureConstraints()[0].targetArea, removed.pressureConstraints[0].targetArea);
+});
+
+test('pressure constraints survive a JSON round trip', () => {
+  const mesh = createMesh();
+  mesh.createBlob(400, 300, 60, 10, 1.3);
+  for (let i = 0; i < 30; i++) mesh.step();
+
+  const copy = Mesh.fromJSON(JSON.parse(JSON.stringify(mesh.toJSON())));
+  const [original] = mesh.getPressureConstraints();
+  const [loaded] = copy.getPressureConstraints();
+
+  assert.equal(loaded.nodes.length, 10);
+  assert.equal(loaded.restArea, original.restArea);
+  assert.equal(loaded.pressure, 1.3);
+  assert.deepEqual(loaded.nodes.map(node => copy.getNodes().indexOf(node)),
+    original.nodes.map(node => mesh.getNodes().indexOf(node)));
+});
+
+test('angle constraints restore a mirrored bend between pinned outer nodes', () => {
+  const a = new Node(0, 0, 8, 15, true);
+  const b = new Node(50, 30, 8, 15);
+  const c = new Node(100, 0, 8, 15, true);
+  const constraint = new AngleConstraint(a, b, c, 0.5);
+  const restAngle = constraint.getAngle();
+
+  // Same outer distance, opposite bend
+  b.y = -30;
+  assert.ok(Math.abs(constraint.getError()) > 1);
+  for (let i = 0; i < 50; i++) constraint.satisfy();
+
+  assert.ok(Math.abs(constraint.getAngle() - restAngle) < 1e-6);
+  assert.ok(b.y > 0, 'center node stayed inside-out');
+  assert.deepEqual([a.x, a.y, c.x, c.y], [0, 0, 100, 0]);
+});
+
+test('angle constraints move lighter nodes further', () => {
+  const a = new Node(0, 0, 8, 1);
+  const b = new Node(50, 0, 8, 100);
+  const c = new Node(100, 30, 8, 1);
+  const constraint = new AngleConstraint(a, b, c, 1);
+  c.y = 60;
+  constraint.satisfy();
+
+  assert.ok(Math.hypot(b.x - 50, b.y) < Math.hypot(c.x - 100, c.y - 60) / 10);
+});
+
+test('angle limits leave bends inside the range alone', () => {
+  const a = new Node(0, 0);
+  const b = new Node(50, 30);
+  const c = new Node(100, 0);
+  const constraint = new AngleConstraint(a, b, c, 1, { minAngle: 1.5, maxAngle: 2.5 });
+
+  b.y = 20;
+  assert.equal(constraint.getError(), 0);
+  constraint.satisfy();
+  assert.equal(b.y, 20);
+
+  b.y = 5;
+  assert.ok(constraint.getError() > 0);
+  for (let i = 0; i < 20; i++) constraint.satisfy();
+  assert.ok(Math.abs(constraint.getAngle() - 2.5) < 1e-6);
+});
+
+test('saved angle constraints without a mode keep the distance solver', () => {
+  const mesh = createMesh();
+  mesh.createTriangle(400, 300, 70);
+  const data = JSON.parse(JSON.stringify(mesh.toJSON()));
+  for (const constraint of data.angleConstraints) delete constraint.mode;
+
+  const legacy = Mesh.fromJSON(data);
+  assert.ok(legacy.getAngleConstraints().every(constraint => constraint.mode === 'distance'));
+  assert.ok(Mesh.fromJSON(mesh.toJSON()).getAngleConstraints().every(constraint => constraint.mode === 'angle'));
+
+  const distanceMesh = createMesh({ angleMode: 'distance' });
+  distanceMesh.createTriangle(400, 300, 70);
+  assert.equal(distanceMesh.getAngleConstraints()[0].mode, 'distance');
+});
+
+test('xpbd link stretch depends on compliance, not iterations or timestep', () => {
+  const stretch = (solverIterations, deltaTime) => {
+    const mesh = createMesh({ solver: 'xpbd', solverIterations, linkCompliance: 1e-4, damping: 0.99 });
+    const anchor = mesh.createNode(400, 100, { pinned: true });
+    const weight = mesh.createNode(400, 200, { mass: 15 });
+    const link = mesh.createLink(anchor, weight, { restMultiplier: 1 });
+    for (let t = 0; t < 10; t += deltaTime) mesh.step(deltaTime);
+    return link.getStrain() * link.rest;
+  };
+
+  // Static stretch of a spring is force * compliance
+  const expected = 15 * 175 * 1e-4;
+  for (const value of [stretch(6, 1/60), stretch(20, 1/60), stretch(6, 1/120)]) {
+    assert.ok(Math.abs(value - expected) < 0.005, `stretch ${value}, expected ${expected}`);
+  }
+});
+
+test('xpbd corrections favour the lighter node', () => {
+  const mesh = createMesh({ solver: 'xpbd', gravity: { x: 0, y: 0 }, nodeCollisions: false });
+  const heavy = mesh.createNode(300, 300, { mass: 100 });
+  const light = mesh.createNode(400, 300, { mass: 1 });
+  mesh.createLink(heavy, light, { restMultiplier: 0.5, compliance: 0 });
+  mesh.step();
+
+  assert.ok(Math.abs(light.x - 350) < 1, `light node at ${light.x}`);
+  assert.ok(Math.abs(heavy.x - 300) < 1, `heavy node at ${heavy.x}`);
+});
+
+test('getIslands groups nodes joined by links', () => {
+  const mesh = createMesh();
+  mesh.createTriangle(200, 300, 60);
+  mesh.createTriangle(600, 300, 60);
+  mesh.createNode(400, 100);
+
+  const sizes = mesh.getIslands().map(island => island.length).sort();
+  assert.deepEqual(sizes, [1, 3, 3]);
+});
+
+test('settled islands sleep until something wakes them', () => {
+  const mesh = createMesh({ allowSleeping: true });
+  const [top] = mesh.createTriangle(300, 300, 70);
+  for (let i = 0; i < 300; i++) mesh.step();
+  assert.equal(mesh.getSleepingNodeCount(), 3);
+
+  // Sleeping nodes are not simulated at all
+  const resting = snapshot(mesh);
+  mesh.configure({ gravity: { x: 0, y: 500 } });
+  for (let i = 0; i < 10; i++) mesh.step();
+  assert.deepEqual(snapshot(mesh), resting);
+
+  // Adding a linked node wakes the island
+  mesh.configure({ gravity: { x: 0, y: 175 } });
+  const node = mesh.createNode(300, 200);
+  mesh.createLink(node, top);
+  mesh.step();
+  assert.equal(mesh.getSleepingNodeCount(), 0);
+});
+
+test('a falling island wakes the sleeping island it lands on', () => {
+  const mesh = createMesh({ allowSleeping: true });
+  const base = mesh.createTriangle(300, 380, 70);
+  for (let i = 0; i < 300; i++) mesh.step();
+  assert.ok(base.every(node => node.sleeping));
+
+  mesh.createTriangle(300, 200, 50);
+  let woke = false;
+  for (let i = 0; i < 120 && !woke; i++) {
+    mesh.step();
+    woke = !base[0].sleeping;
+  }
+  assert.ok(woke, 'base never woke');
+
+  // Both come to rest and sleep again
+  for (let i = 0; i < 900; i++) mesh.step();
+  assert.equal(mesh.getSleepingNodeCount(), 6);
+});
+
+test('removing a sleeping support wakes the island resting on it', () => {
+  const mesh = createMesh({ allowSleeping: true });
+  const base = mesh.createTriangle(300, 380, 70);
+  for (let i = 0; i < 300; i++) mesh.step();
+  const top = mesh.createTriangle(300, 280, 50);
+  for (let i = 0; i < 900; i++) mesh.step();
+  assert.equal(mesh.getSleepingNodeCount(), 6);
+
+  mesh.removeNode(base[0]);
+  assert.equal(mesh.getNodes().length, 3);
+  for (let i = 0; i < 300; i++) mesh.step();
+  const lowest = Math.max(...top.map(node => node.y));
+  assert.ok(lowest > 510 - top[0].r - 2, `left hanging at y=${lowest}`);
+});
+
+test('mesh events report added, removed and cascaded elements', () => {
+  const mesh = createMesh();
+  const events = [];
+  for (const name of ['nodeAdded', 'nodeRemoved', 'linkAdded', 'linkRemoved']) {
+    mesh.on(name, (payload) => events.push([name, payload]));
+  }
+
+  const [a, b, c] = mesh.createTriangle(400, 300, 70);
+  assert.equal(events.filter(([name]) => name === 'nodeAdded').length, 3);
+  assert.equal(events.filter(([name]) => name === 'linkAdded').length, 3);
+
+  events.length = 0;
+  const removed = mesh.removeNode(a);
+  const nodeEvents = events.filter(([name]) => name === 'nodeRemoved');
+  assert.deepEqual(nodeEvents.map(([, e]) => [e.node, e.cascade]), [[a, false], [b, true], [c, true]]);
+  assert.equal(events.filter(([name]) => name === 'linkRemoved').length, 3);
+
+  events.length = 0;
+  mesh.restoreElements(removed);
+  assert.equal(events.filter(([name]) => name === 'nodeAdded').length, 3);
+  assert.equal(events.filter(([name]) => name === 'linkAdded').length, 3);
+});
+
+test('groundContact fires when a node lands, not while it rests', () => {
+  const mesh = createMesh();
+  const node = mesh.createNode(400, 400);
+  const contacts = [];
+  mesh.on('groundContact', (event) => contacts.push(event));
+
+  for (let i = 0; i < 120; i++) mesh.step();
+  const landings = contacts.length;
+  for (let i = 0; i < 60; i++) mesh.step();
+
+  assert.ok(landings >= 1);
+  assert.equal(contacts.length, landings);
+  assert.equal(contacts[0].node, node);
+  assert.ok(contacts[0].speed > 50, `impact speed ${contacts[0].speed}`);
+  assert.ok(contacts.every((event, i) => i === 0 || event.speed < contacts[0].speed), 'bounces got faster');
+});
+
+test('plugins add forces and constraints to the step pipeline', () => {
+  const mesh = createMesh({ gravity: { x: 0, y: 0 } });
+  const node = mesh.createNode(400, 300);
+  const order = [];
+  mesh.on('beforeStep', () => order.push('before'));
+  mesh.on('afterStep', () => order.push('after'));
+
+  const plugin = {
+    install(m) {
+      this.wind = m.addForceGenerator({
+        apply(target) {
+          order.push('force');
+          for (const n of target.getNodes()) n.applyForce(100 * n.mass, 0);
+        }
+      });
+      this.floor = m.addConstraint({
+        satisfy() { node.y = Math.min(node.y, 250); }
+      });
+    },
+    uninstall(m) {
+      m.removeForceGenerator(this.wind);
+      m.removeConstraint(this.floor);
+    }
+  };
+
+  mesh.use(plugin);
+  mesh.step();
+  assert.deepEqual(order, ['before', 'force', 'after']);
+  assert.ok(node.x > 400);
+  assert.equal(node.y, 250);
+
+  mesh.removePlugin(plugin);
+  const x = node.x, velocity = node.x - node.px;
+  mesh.step();
+  assert.ok(Math.abs(node.x - x - velocity * mesh.damping) < 1e-9, 'wind still applied');
+  assert.equal(mesh.forceGenerators.length, 0);
+  assert.equal(mesh.customConstraints.length, 0);
+});
+
+test('wind pushes nodes only inside its area', () => {
+  const mesh = createMesh({ gravity: { x: 0, y: 0 } });
+  const inside = mesh.createNode(200, 200);
+  const outside = mesh.createNode(600, 200);
+  mesh.createForceField({ type: 'wind', x: 200, y: 200, width: 200, height: 200, direction: 0, strength: 300 });
+
+  for (let i = 0; i < 30; i++) mesh.step();
+  assert.ok(inside.x > 210, `inside moved to ${inside.x}`);
+  assert.equal(outside.x, 600);
+  assert.ok(Math.abs(inside.y - 200) < 1e-9);
+});
+
+test('radial fields attract or repel with falloff', () => {
+  const mesh = createMesh({ gravity: { x: 0, y: 0 } });
+  const pulled = mesh.createNode(300, 300);
+  const pushed = mesh.createNode(500, 300);
+  const attractor = mesh.createForceField({ type: 'radial', x: 200, y: 300, radius: 200, strength: 400 });
+  mesh.createForceField({ type: 'radial', x: 600, y: 300, radius: 200, strength: -400, falloff: 'quadratic' });
+
+  assert.equal(attractor.getStrengthAt(100), 200);
+  assert.equal(attractor.getStrengthAt(250), 0);
+  for (let i = 0; i < 10; i++) mesh.step();
+  assert.ok(pulled.x < 300);
+  assert.ok(pushed.x < 500);
+
+  mesh.moveForceField(attractor, 400, 300);
+  const x = pulled.x;
+  for (let i = 0; i < 20; i++) mesh.step();
+  assert.ok(pulled.x > x, 'moved attractor should pull the other way');
+});
+
+test('gravity zones replace gravity inside them', () => {
+  const mesh = createMesh();
+  const floating = mesh.createNode(200, 300);
+  const falling = mesh.createNode(600, 300);
+  mesh.createForceField({ type: 'gravity', x: 200, y: 300, width: 300, height: 400, gravity: { x: 0, y: 0 } });
+
+  for (let i = 0; i < 30; i++) mesh.step();
+  assert.ok(Math.abs(floating.y - 300) < 1e-6);
+  assert.ok(falling.y > 310);
+});
+
+test('explosions give one impulse, wake sleepers and expire', () => {
+  const mesh = createMesh({ allowSleeping: true });
+  const nodes = mesh.createTriangle(400, 400, 60);
+  for (let i = 0; i < 300; i++) mesh.step();
+  assert.equal(mesh.getSleepingNodeCount(), nodes.length);
+
+  mesh.explode(400, 520, 200, 900);
+  mesh.step();
+  assert.equal(mesh.getSleepingNodeCount(), 0);
+  assert.ok(nodes.every(node => node.y < node.py), 'nodes should fly up');
+
+  for (let i = 0; i < 30; i++) mesh.step();
+  assert.equal(mesh.getForceFields().length, 0);
+});
+
+test('force fields round-trip through JSON and state', () => {
+  const mesh = createMesh();
+  mesh.createNode(300, 300);
+  mesh.createForceField({ type: 'wind', direction: Math.PI, strength: 120, gust: 0.5, turbulence: 0.3 });
+  mesh.createForceField({ type: 'radial', x: 100, y: 100, radius: 80, strength: -50, falloff: 'none' });
+  mesh.explode(300, 300);
+
+  const json = JSON.parse(JSON.stringify(mesh));
+  assert.equal(json.forceFields.length, 2);
+  assert.equal(json.forceFields[0].width, null);
+
+  const copy = Mesh.fromJSON(json);
+  assert.deepEqual(copy.getForceFields().map(field => field.toJSON()), json.forceFields);
+  assert.equal(copy.getForceFields()[0].width, Infinity);
+
+  const state = mesh.getState();
+  mesh.clear();
+  assert.equal(mesh.getForceFields().length, 0);
+  mesh.setState(state);
+  assert.equal(mesh.getForceFields().length, 3);
+  assert.throws(() => mesh.createForceField({ type: 'vortex' }), /Unknown force field type/);
+});
+
+test('removeLink takes dependent constraints and orphans with it', () => {
+  const mesh = createMesh();
+  const a = mesh.createNode(300, 300), b = mesh.createNode(400, 300), c = mesh.createNode(350, 220);
+  const ab = mesh.createLink(a, b), bc = mesh.createLink(b, c);
+  mesh.createLink(c, a);
+  const angle = mesh.createAngleConstraint(a, c, b);
+
+  assert.equal(mesh.getLinkBetween(b, a), ab);
+  const removed = mesh.removeLink(bc);
+  assert.deepEqual(removed.links.slice(0, 1), [bc]);
+  assert.ok(removed.angleConstraints.includes(angle));
+  assert.ok(removed.nodes.includes(b) && removed.nodes.includes(c), 'orphans removed');
+  assert.equal(mesh.getLinks().length, 0);
+
+  mesh.restoreElements(removed);
+  assert.equal(mesh.getLinks().length, 3);
+  assert.equal(mesh.getAngleConstraints().length, 1);
+});
+
+test('getLinksCrossing finds the links a segment passes through', () => {
+  for (const broadphase of ['grid', 'none']) {
+    const mesh = createMesh({ broadphase });
+    const a = mesh.createNode(300, 300), b = mesh.createNode(400, 300), c = mesh.createNode(350, 200);
+    const ab = mesh.createLink(a, b), bc = mesh.createLink(b, c);
+    mesh.createLink(c, a);
+
+    assert.deepEqual(mesh.getLinksCrossing(390, 350, 390, 250), [ab, bc]);
+    assert.deepEqual(mesh.getLinksCrossing(100, 100, 150, 150), []);
+  }
+});
@@ -0,0 +1,112 @@
+// ==================== POINTER INPUT TESTS ====================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PointerInput } = require('../pointer-input.js');
+
+// Records every handler call; targets are any press within 20px of a point
+function createInput(targets = [], options = {}) {
+  const events = [];
+  const record = (name) => (payload) => events.push([name, payload]);
+  const input = new PointerInput({
+    hitTest: (x, y) => targets.find(t => Math.hypot(t.x - x, t.y - y) <= 20) || null,
+    handlers: {
+      tap: record('tap'), dragStart: record('dragStart'), dragMove: record('dragMove'),
+      dragEnd: record('dragEnd'), longPress: record('longPress'), pinch: record('pinch')
+    },
+    ...options
+  });
+  return { input, events, names: () => events.map(([name]) => name) };
+}
+
+const touch = (pointerId, clientX, clientY) => ({ pointerId, pointerType: 'touch', clientX, clientY });
+const mouse = (clientX, clientY) => ({ pointerId: 1, pointerType: 'mouse', clientX, clientY });
+
+test('taps report what they landed on; sliding off empty space cancels them', () => {
+  const node = { x: 100, y: 100 };
+  const { input, events, names } = createInput([node]);
+
+  input.down(touch(1, 105, 100), 0);
+  input.up(touch(1, 105, 100));
+  input.down(touch(2, 300, 300), 0);
+  input.up(touch(2, 300, 300));
+  input.down(touch(3, 300, 300), 0);
+  input.move(touch(3, 340, 300));
+  input.up(touch(3, 340, 300));
+
+  assert.deepEqual(names(), ['tap', 'tap']);
+  assert.equal(events[0][1].target, node);
+  assert.equal(events[1][1].target, null);
+});
+
+test('mice grab a held target; fingers long-press it with a confirmation ring', () => {
+  const node = { x: 100, y: 100 };
+  const { input, names } = createInput([node]);
+
+  input.down(mouse(100, 100), 0);
+  input.update(250);
+  assert.deepEqual(names(), ['dragStart']);
+  input.up(mouse(100, 100));
+
+  input.down(touch(2, 100, 100), 1000);
+  input.update(1250);
+  assert.deepEqual(input.getLongPresses(1250).map(p => p.progress), [250 / 600]);
+  assert.deepEqual(names(), ['dragStart', 'dragEnd']);
+
+  input.update(1600);
+  assert.deepEqual(names(), ['dragStart', 'dragEnd', 'longPress']);
+  assert.equal(input.getLongPresses(1600).length, 0);
+  input.up(touch(2, 100, 100));
+  assert.deepEqual(names(), ['dragStart', 'dragEnd', 'longPress']);
+});
+
+test('several fingers drag different targets independently', () => {
+  const a = { x: 100, y: 100 }, b = { x: 300, y: 100 };
+  const { input, events } = createInput([a, b]);
+
+  input.down(touch(1, 100, 100), 0);
+  input.down(touch(2, 300, 100), 0);
+  input.move(touch(1, 100, 150));
+  input.move(touch(2, 300, 180));
+  input.up(touch(1, 100, 150));
+  input.cancel(touch(2, 300, 180));
+
+  const byPointer = (id) => events.filter(([, p]) => p.id === id).map(([name, p]) => [name, p.target, p.y]);
+  assert.deepEqual(byPointer(1), [['dragStart', a, 150], ['dragMove', a, 150], ['dragEnd', a, 150]]);
+  assert.deepEqual(byPointer(2), [['dragStart', b, 180], ['dragMove', b, 180], ['dragEnd', b, 180]]);
+});
+
+test('two fingers on empty space pinch and pan without tapping', () => {
+  const { input, events, names } = createInput();
+
+  input.down(touch(1, 100, 100), 0);
+  input.down(touch(2, 200, 100), 10);
+  input.move(touch(2, 300, 100));
+  input.move(touch(1, 100, 140));
+  input.up(touch(1, 100, 140));
+  input.up(touch(2, 300, 100));
+
+  assert.deepEqual(names(), ['pinch', 'pinch']);
+  const [first, second] = events.map(([, payload]) => payload);
+  assert.deepEqual(first, { x: 200, y: 100, dx: 50, dy: 0, scale: 2 });
+  assert.equal(second.dy, 20);
+  assert.ok(Math.abs(second.scale - Math.hypot(200, 40) / 200) < 1e-12);
+});
+
+test('presses that may not drag or long-press tap instead', () => {
+  const node = { x: 100, y: 100 };
+  const { input, names } = createInput([node], { canDrag: () => false, canLongPress: () => false });
+
+  input.down(mouse(100, 100), 0);
+  input.update(1000);
+  input.up(mouse(100, 100));
+  input.down(touch(2, 100, 100), 0);
+  input.update(1000);
+  assert.equal(input.getLongPresses(1000).length, 0);
+  input.up(touch(2, 100, 100));
+  input.down(touch(3, 100, 100), 0);
+  input.move(touch(3, 100, 160));
+  input.up(touch(3, 100, 160));
+
+  assert.deepEqual(names(), ['tap', 'tap']);
+});
@@ -0,0 +1,110 @@
+// ==================== REPLAY TESTS ====================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Mesh, Node } = require('../mesh.js');
+const { FixedStepper } = require('../stepper.js');
+const { SessionRecorder, ReplayPlayer, cloneState } = require('../replay.js');
+
+// A tiny application: inputs add a node linked to the two nearest nodes
+function createApp() {
+  const mesh = new Mesh({ bounds: { width: 800, height: 600 }, groundY: 510 });
+  const apply = (input) => {
+    const anchors = mesh.getNearestNodes(input.x, input.y, 2);
+    const node = mesh.createNode(input.x, input.y);
+    for (const anchor of anchors) mesh.createLink(node, anchor);
+  };
+  return {
+    mesh,
+    apply,
+    hooks: {
+      reset: (start) => mesh.loadJSON(start.mesh),
+      apply,
+      step: () => mesh.step(1/60),
+      capture: () => cloneState(mesh.getState(), new Set([mesh])),
+      restore: (snapshot) => mesh.setState(cloneState(snapshot, new Set([mesh])))
+    }
+  };
+}
+
+function recordSession() {
+  const app = createApp();
+  app.mesh.createTriangle(400, 300, 70);
+
+  const stepper = new FixedStepper(app.mesh, { inputHandler: app.apply });
+  const recorder = new SessionRecorder(stepper);
+  recorder.begin({ mesh: app.mesh.toJSON() });
+
+  for (let i = 0; i < 300; i++) {
+    if (i % 60 === 30) stepper.input({ type: 'add', x: 380 + i / 10, y: 250 - i / 5 });
+    stepper.step();
+  }
+  return { replay: recorder.toReplay(), final: JSON.stringify(app.mesh) };
+}
+
+test('cloneState keeps shared references and prototypes', () => {
+  const a = new Node(0, 0), b = new Node(10, 0);
+  const state = { nodes: [a, b], first: a, shared: Math };
+  const copy = cloneState(state, new Set([Math]));
+
+  assert.notEqual(copy.nodes[0], a);
+  assert.equal(copy.first, copy.nodes[0]);
+  assert.ok(copy.nodes[1] instanceof Node);
+  assert.equal(copy.shared, Math);
+});
+
+test('a replay reproduces the recorded session exactly', () => {
+  const { replay, final } = recordSession();
+  assert.equal(replay.steps, 300);
+  assert.equal(replay.inputs.length, 5);
+
+  const app = createApp();
+  const player = new ReplayPlayer(replay, app.hooks);
+  player.seek(player.length);
+
+  assert.ok(player.finished);
+  assert.equal(JSON.stringify(app.mesh), final);
+});
+
+test('seeking backwards through keyframes gives the same state', () => {
+  const { replay } = recordSession();
+  const app = createApp();
+  const player = new ReplayPlayer(replay, app.hooks, { keyframeInterval: 50 });
+
+  player.seek(130);
+  const at130 = JSON.stringify(app.mesh);
+  player.seek(290);
+  player.seek(130);
+
+  assert.equal(JSON.stringify(app.mesh), at130);
+  assert.deepEqual([...player.keyframes.keys()], [0, 50, 100, 150, 200, 250]);
+});
+
+test('playback follows real time and speed', () => {
+  const { replay } = recordSession();
+  const player = new ReplayPlayer(replay, createApp().hooks);
+
+  player.play();
+  player.advance(0.505);
+  assert.equal(player.step, 30);
+
+  player.setSpeed(2);
+  player.advance(0.5);
+  assert.equal(player.step, 90);
+
+  player.pause();
+  player.advance(1);
+  assert.equal(player.step, 90);
+
+  player.play();
+  player.advance(10);
+  assert.ok(player.finished);
+  assert.equal(player.playing, false);
+});
+
+test('replays are validated', () => {
+  const hooks = createApp().hooks;
+  assert.throws(() => new ReplayPlayer({ inputs: [] }, hooks), /start/);
+  assert.throws(() => new ReplayPlayer({ version: 99, start: {}, inputs: [], timestep: 1, steps: 0 }, hooks),
+    /Unsupported replay schema version/);
+});
@@ -0,0 +1,123 @@
+// ==================== LEVEL RULES TESTS ====================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Mesh } = require('../mesh.js');
+const { Level } = require('../level.js');
+const { LEVELS } = require('../levels.js');
+const { RulesEngine, ResultStore } = require('../rules.js');
+
+// In-memory stand-in for the browser's localStorage
+const storage = {};
+global.localStorage = {
+  getItem: key => (key in storage ? storage[key] : null),
+  setItem: (key, value) => { storage[key] = String(value); }
+};
+
+function createMesh() {
+  return new Mesh({ bounds: { width: 800, height: 600 }, groundY: 500 });
+}
+
+function run(mesh, steps) {
+  for (let i = 0; i < steps; i++) mesh.step(1/60);
+}
+
+test('a tower wins once it is tall enough and holds still', () => {
+  const mesh = createMesh();
+  const nodes = mesh.createTriangle(400, 410, 70);
+  const rules = new RulesEngine(mesh, [{ type: 'height', height: 80 }, { type: 'stable', seconds: 1 }]);
+
+  run(mesh, 30);
+  assert.equal(rules.status, 'playing', 'still settling');
+
+  run(mesh, 240);
+  assert.equal(rules.status, 'won');
+  const stats = rules.getStats();
+  assert.equal(stats.nodes, nodes.length);
+  assert.ok(stats.peakHeight >= 80);
+  assert.ok(stats.score > 0);
+
+  // Stats freeze at the win
+  run(mesh, 60);
+  assert.deepEqual(rules.getStats(), stats);
+});
+
+test('limits lose the run as soon as they are broken', () => {
+  const mesh = createMesh();
+  mesh.createTriangle(400, 300, 70);
+  const rules = new RulesEngine(mesh, [{ type: 'height', height: 1000 }, { type: 'hazard', y: 450 }]);
+
+  run(mesh, 240);
+  assert.equal(rules.status, 'lost');
+  assert.equal(rules.reason, 'Keep every node above the hazard line');
+  assert.equal(rules.getStats().score, 0);
+
+  const crowded = createMesh();
+  crowded.createTriangle(400, 410, 70);
+  const limited = new RulesEngine(crowded, [{ type: 'maxNodes', count: 3 }]);
+  crowded.step(1/60);
+  assert.equal(limited.status, 'playing');
+  crowded.createNode(200, 400);
+  crowded.step(1/60);
+  assert.equal(limited.status, 'lost');
+});
+
+test('point, region and span goals look at node positions and islands', () => {
+  const mesh = createMesh();
+  const [a, b] = [mesh.createNode(100, 300, { pinned: true }), mesh.createNode(300, 300, { pinned: true })];
+  const rules = new RulesEngine(mesh, []);
+
+  assert.ok(rules.isMet({ type: 'point', x: 105, y: 300, radius: 0 }));
+  assert.ok(!rules.isMet({ type: 'point', x: 200, y: 300, radius: 20 }));
+  assert.ok(rules.isMet({ type: 'region', x: 250, y: 250, width: 100, height: 100 }));
+
+  const span = { type: 'span', left: 150, right: 250 };
+  assert.ok(!rules.isMet(span), 'two separate nodes');
+  mesh.createLink(a, b);
+  mesh.step(1/60);
+  assert.ok(rules.isMet(span));
+});
+
+test('unknown rule types are rejected and detach stops updates', () => {
+  const mesh = new Mesh();
+  assert.throws(() => new RulesEngine(mesh, [{ type: 'teleport' }]), /Unknown rule type/);
+
+  const rules = new RulesEngine(mesh, [{ type: 'stable', seconds: 10 }]);
+  rules.detach();
+  mesh.step(1/60);
+  assert.equal(rules.time, 0);
+  rules.attach();
+  mesh.step(1/60);
+  assert.ok(rules.time > 0);
+});
+
+test('levels turn their goal into a region rule and validate rules', () => {
+  const ledge = new Level(LEVELS.find(level => level.name === 'The Ledge'));
+  assert.deepEqual(ledge.rules, [{ type: 'region', ...ledge.goal }]);
+
+  const gap = new Level(LEVELS.find(level => level.name === 'Mind the Gap'));
+  assert.deepEqual(gap.rules.map(rule => rule.type), ['span', 'stable', 'hazard']);
+
+  assert.throws(() => new Level({ ...LEVELS[0], rules: { type: 'height' } }), /"rules" must be an array/);
+
+  // Bad rules fail when the level is built, not when it starts
+  const bad = [{ type: 'heigth', height: 300 }, { type: 'height' }, { type: 'stable', seconds: '2' },
+    { type: 'maxNodes', count: null }, { type: 'hazard' }, { type: 'span', left: 100 },
+    { type: 'point', x: 1, y: 2, radius: -5 }, { type: 'region', x: 0, y: 0, width: 0, height: 10 }];
+  for (const rule of bad) {
+    assert.throws(() => new Level({ ...LEVELS[0], rules: [rule] }), JSON.stringify(rule));
+  }
+  assert.throws(() => new Level({ ...LEVELS[0], rules: [{ type: 'heigth' }] }), /Unknown rule type: heigth/);
+});
+
+test('the result store keeps the best of every win per level', () => {
+  const store = new ResultStore('test:results');
+  assert.equal(store.get('Level'), null);
+
+  let result = store.record('Level', { score: 800, nodes: 9, time: 20, peakHeight: 300 });
+  assert.ok(result.newBest);
+
+  result = store.record('Level', { score: 700, nodes: 7, time: 25, peakHeight: 350 });
+  assert.ok(!result.newBest);
+  assert.deepEqual(store.get('Level'), { score: 800, nodes: 7, time: 20, peakHeight: 350, wins: 2 });
+});
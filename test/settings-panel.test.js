@@ -0,0 +1,57 @@
+// ==================== PHYSICS SETTINGS TESTS ====================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PresetStore, DEFAULT_PHYSICS_SETTINGS } = require('../settings-panel.js');
+
+// In-memory stand-in for the browser's localStorage
+const storage = {};
+global.localStorage = {
+  getItem: key => (key in storage ? storage[key] : null),
+  setItem: (key, value) => { storage[key] = String(value); }
+};
+
+test('built-in presets fill unspecified settings with the defaults', () => {
+  const moon = new PresetStore().get('moon gravity');
+  assert.equal(moon.gravity, 29);
+  assert.equal(moon.friction, DEFAULT_PHYSICS_SETTINGS.friction);
+  assert.equal(new PresetStore().get('nope'), null);
+});
+
+test('normalize clamps values and drops unknown keys', () => {
+  const settings = PresetStore.normalize({ gravity: -5, solverIterations: 1000, bogus: 1, damping: 'x' });
+  assert.equal(settings.gravity, 0);
+  assert.equal(settings.solverIterations, 30);
+  assert.equal(settings.damping, DEFAULT_PHYSICS_SETTINGS.damping);
+  assert.ok(!('bogus' in settings));
+});
+
+test('saved presets round-trip and cannot replace built-ins', () => {
+  const store = new PresetStore('test:presets');
+  store.save('floaty', { ...DEFAULT_PHYSICS_SETTINGS, gravity: 50 });
+
+  assert.equal(new PresetStore('test:presets').get('floaty').gravity, 50);
+  assert.deepEqual(store.names().slice(-1), ['floaty']);
+  assert.throws(() => store.save('steel', DEFAULT_PHYSICS_SETTINGS), /built-in/);
+  assert.throws(() => store.save('', DEFAULT_PHYSICS_SETTINGS), /name/);
+
+  store.remove('floaty');
+  assert.equal(store.get('floaty'), null);
+});
+
+test('settings survive a trip through the URL', () => {
+  const store = new PresetStore('test:presets');
+  const settings = { ...store.get('jelly'), gravity: 90 };
+
+  const query = PresetStore.toQuery(settings, '?deterministic');
+  assert.ok(query.startsWith('deterministic='));
+  assert.deepEqual(store.fromQuery('?' + query), settings);
+});
+
+test('URL presets can be overridden per setting', () => {
+  const store = new PresetStore('test:presets');
+  const settings = store.fromQuery('?preset=steel&gravity=60');
+  assert.equal(settings.gravity, 60);
+  assert.equal(settings.stiffness, 0.9);
+  assert.equal(store.fromQuery('?deterministic'), null);
+});
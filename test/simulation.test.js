@@ -0,0 +1,93 @@
+// ==================== HEADLESS SIMULATION TESTS ====================
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+const { Mesh } = require('../mesh.js');
+const { Simulation } = require('../simulation.js');
+
+const CLI = path.join(__dirname, '..', 'bin', 'simulate.js');
+
+function triangleMesh() {
+  const mesh = new Mesh({ bounds: { width: 800, height: 600 }, groundY: 510 });
+  mesh.createTriangle(400, 300, 70);
+  return mesh;
+}
+
+test('report describes a settled structure', () => {
+  const simulation = new Simulation(triangleMesh());
+  const report = simulation.run(600);
+
+  assert.equal(report.steps, 600);
+  assert.equal(report.nodes, 3);
+  assert.equal(report.brokenLinks, 0);
+  assert.ok(report.settled);
+  assert.ok(report.settledHeight > 70 && report.settledHeight < 100, `height ${report.settledHeight}`);
+  assert.equal(report.belowGround, false);
+  assert.ok(report.peakStrain >= report.maxStrain);
+  assert.equal(report.energy.total, report.energy.kinetic + report.energy.potential);
+});
+
+test('falling structures lose potential energy', () => {
+  const mesh = triangleMesh();
+  const before = mesh.getPotentialEnergy();
+  new Simulation(mesh).run(120);
+  assert.ok(mesh.getPotentialEnergy() < before);
+});
+
+test('trajectories are sampled every N steps', () => {
+  const simulation = new Simulation(triangleMesh(), { sampleEvery: 10 });
+  simulation.run(50);
+
+  const { frames } = simulation.toJSON();
+  assert.deepEqual(frames.map(frame => frame.step), [0, 10, 20, 30, 40, 50]);
+  assert.deepEqual(frames[0].nodes.map(node => node.id), [0, 1, 2]);
+
+  const rows = simulation.toCSV().trim().split('\n');
+  assert.equal(rows[0], 'step,time,node,x,y');
+  assert.equal(rows.length, 1 + frames.length * 3);
+});
+
+test('CLI runs a saved structure and writes a CSV trajectory', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goo-sim-'));
+  const input = path.join(dir, 'structure.json');
+  const output = path.join(dir, 'trajectory.csv');
+  fs.writeFileSync(input, JSON.stringify(triangleMesh().toJSON()));
+
+  try {
+    const stdout = execFileSync(process.execPath, [CLI, input, '--steps', '120', '--json', '--out', output]);
+    const report = JSON.parse(stdout);
+    assert.equal(report.steps, 120);
+    assert.equal(report.nodes, 3);
+    assert.equal(fs.readFileSync(output, 'utf8').trim().split('\n').length, 1 + 121 * 3);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('CLI rejects bad arguments', () => {
+  assert.throws(
+    () => execFileSync(process.execPath, [CLI, '--steps', 'zero'], { stdio: 'pipe' }),
+    error => error.status === 1 && /positive number/.test(error.stderr)
+  );
+});
+
+test('CLI reports an output file it cannot write', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'goo-sim-'));
+  const input = path.join(dir, 'structure.json');
+  fs.writeFileSync(input, JSON.stringify(triangleMesh().toJSON()));
+
+  try {
+    const output = path.join(dir, 'missing', 'trajectory.csv');
+    assert.throws(
+      () => execFileSync(process.execPath, [CLI, input, '--steps', '10', '--out', output], { stdio: 'pipe' }),
+      error => error.status === 1 && String(error.stderr).trim() ===
+        `Could not write ${output}: ENOENT: no such file or directory, open '${output}'`
+    );
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});